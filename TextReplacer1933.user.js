@@ -1,7 +1,7 @@
 // ==UserScript==
 // @name         Text Replacer
 // @namespace    http://tampermonkey.net/
-// @version      10.7.1
+// @version      10.8.0
 // @description  Virtualized M3 UI, dynamic theming, full Blocklist/Rule I/O, Multi-Term (|), Gap (---), Filter (#{...}#) operators, Cross-Element Replacement (Range API), Protected Areas, dark/light theme, operator cheat sheet, unified backup, performance optimisations, larger scrollable settings lists with click-to-edit entries, IndexedDB-backed blocklist/settings persistence, word-count-based overwrite priority for overlapping terms, robust bidirectional IndexedDB↔GM_storage term sync with live cross-site updates, tombstoned deletes so removed terms never resurrect via sync, stabilized highlighting so early-primed terms are properly wrapped/highlighted and resistant to host-page CSS overrides. Critical fix: early-priming replacement spans no longer feed back into their own mutation observer, which could previously freeze/crash a tab on rules whose replacement text still contained a whole-word match for itself.
 // @match        *://*/*
 // @grant        GM_getValue
@@ -35,6 +35,26 @@
     }
     if (isExcludedContext()) return;
 
+    // A same-origin child frame is driven entirely by the nearest ancestor frame that runs its
+    // own copy of this script (see the SAME-ORIGIN IFRAMES section), so this copy stays out of the
+    // way: no engine, no early priming, and no second ☰ toggle/GUI inside the frame. That only
+    // holds if such a copy registered itself; otherwise (excluded or never started up there) the
+    // frame runs on its own. The mark is a DOM attribute rather than a window property because
+    // each frame's copy may see its own sandboxed window object.
+    const FRAME_DRIVER_ATTR = 'data-text-replacer-driver';
+    function isDrivenByAncestorFrame() {
+        try {
+            for (let w = window; w.parent !== w; w = w.parent) {
+                if (w.parent.location.origin !== window.location.origin) return false;
+                const root = w.parent.document.documentElement;
+                if (root && root.hasAttribute(FRAME_DRIVER_ATTR)) return true;
+            }
+        } catch (e) {} // cross-origin ancestor
+        return false;
+    }
+    if (isDrivenByAncestorFrame()) return;
+    if (document.documentElement) document.documentElement.setAttribute(FRAME_DRIVER_ATTR, '');
+
     // ---------- CONFIG ----------
     const DB_NAME = 'TextReplacerDB_v2';
     const STORE_NAME = 'rules';
@@ -43,21 +63,29 @@
     const MASTER_KEY = 'TextReplacer_MASTER_v2';
     const ACTIVE_KEY = 'TextReplacer_ACTIVE_v2';
     const BLOCK_KEY = 'TextReplacer_BLOCK_GLOBAL';
+    const ALLOW_KEY = 'TextReplacer_ALLOW_GLOBAL';
+    const SITE_MODE_KEY = 'TextReplacer_SITE_MODE';
+    const PAUSE_KEY = 'TextReplacer_PAUSE';
+    const PAUSE_SESSION_KEY = 'TextReplacer_PausedThisTab';
     const UI_SCROLL_KEY = 'TextReplacer_UI_SCROLL_v2';
     const HIGHLIGHT_KEY = 'TextReplacer_HIGHLIGHT_v2';
     const STATS_KEY = 'TextReplacer_Stats_v2';
     const PROTECTED_KEY = 'TextReplacer_PROTECTED_SELECTORS';
+    const INFLECTION_KEY = 'TextReplacer_INFLECTION_OVERRIDES';
+    const GROUPS_KEY = 'TextReplacer_DISABLED_GROUPS';
     const MASTER_POLL_MS = 5000;
     const MASTER_WRITE_DEBOUNCE = 600;
     const REPLACE_DEBOUNCE = 120;
     const SCROLL_SAVE_DEBOUNCE = 250;
     const STATS_SAVE_DEBOUNCE = 30000;
     const CARD_HEIGHT = 88;
+    const GROUP_HEADER_HEIGHT = 44;
 
     // ---------- STATE ----------
-    let dbInstance = null, localRules = [], activeRules = {}, blockedDomains = [];
+    let dbInstance = null, localRules = [], activeRules = {}, blockedDomains = [], allowedDomains = [];
+    let siteListMode = 'block'; // 'block': run everywhere except blockedDomains; 'allow': only on allowedDomains
     let enableHighlight = true, siteThemeColor = '#6750A4';
-    let guiBox = null, mainPage = null, settingsPage = null, dialogWrapper = null;
+    let guiBox = null, mainPage = null, settingsPage = null, dialogWrapper = null, guiToggle = null;
     let listContainer = null, virtualScroller = null, quickEditBox = null, selectionFab = null;
     let isGuiOpen = false, writingMaster = false, applyingRemoteMaster = false;
     let lastMasterPayloadTs = 0;
@@ -66,11 +94,15 @@
     let replaceTimer = null, masterWriteTimer = null, scrollSaveTimer = null;
     let quickEditActiveId = null, mo = null;
     let searchQuery = '';
+    let libraryFilter = 'all'; // 'all' | 'enabled' | 'disabled'
+    let libraryView = 'list'; // 'list' (alphabetical, grouped) | 'priority' (effective order, draggable)
+    let dragRuleId = null;
     let externalIhwAPI = null;
     let isNavigating = false;
     
     let repDataMap = new Map();
     let trIdCounter = 0;
+    let replacementGeneration = 0; // bumped by revertAllReplacements so in-flight async passes drop their results
     const regexCache = new Map();
     const wordCountCache = new Map();
     let isRenderingScroll = false;
@@ -101,6 +133,33 @@
         protectedSelectorString = protectedSelectors.join(',');
     }
 
+    // ---------- ATTRIBUTE REPLACEMENT ----------
+    // Opt-in: tooltips, alt text, placeholders and ARIA labels are read out by screen readers, so
+    // leaving the original wording there undoes the visible replacement for those users. The value
+    // we wrote and the original it replaced are kept per element (WeakMap, so removed elements
+    // don't leak) and data-tr-attrs marks which elements have any, so revert can find them.
+    let enableAttributeReplacement = false;
+    let replaceAttributes = [];
+    const DEFAULT_REPLACE_ATTRIBUTES = ['title', 'alt', 'placeholder', 'aria-label'];
+    const attrState = new WeakMap();
+    // Names go straight into a [name] selector, so anything a bare CSS identifier can't hold
+    // (xlink:href, data.x) would make querySelectorAll throw and stop the whole pass.
+    const ATTRIBUTE_NAME_RX = /^[a-z][a-z0-9_-]*$/;
+    function sanitizeAttributeList(list) {
+        const out = [];
+        (Array.isArray(list) ? list : []).forEach(a => {
+            const name = typeof a === 'string' ? a.trim().toLowerCase() : '';
+            if (ATTRIBUTE_NAME_RX.test(name) && !out.includes(name)) out.push(name);
+        });
+        return out;
+    }
+
+    // ---------- DOCUMENT TITLE ----------
+    // Opt-in, like attributes. titleApplied is what we last wrote, so a title that no longer equals
+    // it must have come from the page (or an SPA router) and becomes the new original.
+    let enableTitleReplacement = false;
+    let titleOriginal = null, titleApplied = null, titleRuleIds = [];
+
     // ---------- SMART PRIORITY / RECENCY ----------
     let ruleStats = new Map();
     try {
@@ -146,9 +205,43 @@
     }
     function now() { return Date.now(); }
     function uuid() { return now().toString(36) + Math.random().toString(36).slice(2); }
-    function signatureOf(r) { return `${r.oldText}:::${r.newText}:::${!!r.caseSensitive}:::${!!r.forceGlobal}:::${!!r.smartPriority}`; }
+    function signatureOf(r) { return `${r.oldText}:::${r.newText}:::${!!r.caseSensitive}:::${!!r.forceGlobal}:::${!!r.smartPriority}:::${!!r.isRegex}:::${r.regexFlags || ''}:::${!!r.preserveCase}:::${!!r.ignoreAccents}:::${!!r.inflect}:::${!!r.richText}:::${!!r.chainable}:::${r.variantMode || 'random'}:::${formatSiteScope(r)}:::${formatRuleConditions(r)}`; }
     function escapeHtml(s) { return (s||'').replace(/[&<>"']/g, m => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[m]); }
 
+    // Single place that turns an incoming rule (master mirror payload or imported file) into the
+    // shape stored in IndexedDB, so sync and import can't drift apart on which fields survive.
+    function normalizeRuleRecord(r) {
+        return {
+            id: r.id || uuid(),
+            oldText: r.oldText,
+            newText: r.newText || '',
+            caseSensitive: !!r.caseSensitive,
+            forceGlobal: !!r.forceGlobal,
+            smartPriority: !!r.smartPriority,
+            isRegex: !!r.isRegex,
+            regexFlags: sanitizeRegexFlags(r.regexFlags),
+            preserveCase: !!r.preserveCase,
+            ignoreAccents: !!r.ignoreAccents,
+            inflect: !!r.inflect,
+            richText: !!r.richText,
+            chainable: !!r.chainable,
+            variantMode: VARIANT_MODES.includes(r.variantMode) ? r.variantMode : 'random',
+            includeSites: sanitizeSiteList(r.includeSites),
+            excludeSites: sanitizeSiteList(r.excludeSites),
+            groups: sanitizeGroupList(r.groups),
+            priority: Number(r.priority) || 0,
+            requireWords: sanitizeConditionList(r.requireWords),
+            forbidWords: sanitizeConditionList(r.forbidWords),
+            pathPatterns: sanitizeConditionList(r.pathPatterns),
+            requireSelector: String(r.requireSelector || '').trim(),
+            enabled: r.enabled !== false,
+            deleted: !!r.deleted,
+            createdAt: r.createdAt || now(),
+            updatedAt: r.updatedAt || now(),
+            site: r.site || null
+        };
+    }
+
     function extractThemeColor() {
         try {
             const meta = document.querySelector('meta[name="theme-color"]');
@@ -157,42 +250,486 @@
     }
 
     function readGM(k, fb = null) { try { const r = GM_getValue(k, null); return r === null ? fb : (typeof r === 'string' ? JSON.parse(r) : r); } catch (e) { error('readGM failed for', k, e); return fb; } }
+    // ---------- PER-RULE SITE SCOPE ----------
+    // Patterns are hostnames with * wildcards ("*.wikipedia.org" also covers wikipedia.org itself),
+    // optionally followed by a path ("news.example.com/comments/*"), in which case they're tested
+    // against host + pathname instead of the host alone. Exclusions always win over inclusions,
+    // and a rule with no inclusions applies everywhere that isn't excluded.
+    const sitePatternCache = new Map();
+    function sanitizeSiteList(list) {
+        return Array.isArray(list) ? list.map(p => String(p).trim().toLowerCase()).filter(Boolean) : [];
+    }
+    function sitePatternToRegex(pattern) {
+        if (sitePatternCache.has(pattern)) return sitePatternCache.get(pattern);
+        let src = pattern.replace(/^[a-z]+:\/\//, '');
+        let prefix = '';
+        if (src.startsWith('*.')) { prefix = '(?:[^/]*\\.)?'; src = src.slice(2); }
+        const rx = new RegExp(`^${prefix}${src.split('*').map(escapeRegExp).join('.*')}$`, 'i');
+        sitePatternCache.set(pattern, rx);
+        return rx;
+    }
+    function sitePatternMatches(pattern) {
+        const host = window.location.hostname;
+        const target = pattern.includes('/') ? host + window.location.pathname : host;
+        return sitePatternToRegex(pattern).test(target);
+    }
+    function ruleAppliesToPage(rule) {
+        const include = rule.includeSites || [];
+        const exclude = rule.excludeSites || [];
+        if (exclude.some(sitePatternMatches)) return false;
+        return (include.length === 0 || include.some(sitePatternMatches)) && rulePathMatches(rule);
+    }
+    // The dialog edits both lists as one comma/space separated field, "!" marking exclusions.
+    function parseSiteScope(str) {
+        const tokens = String(str || '').split(/[\s,]+/).map(t => t.trim().toLowerCase()).filter(Boolean);
+        return {
+            includeSites: tokens.filter(t => !t.startsWith('!')),
+            excludeSites: tokens.filter(t => t.startsWith('!')).map(t => t.slice(1)).filter(Boolean)
+        };
+    }
+    function formatSiteScope(rule) {
+        return [...(rule.includeSites || []), ...(rule.excludeSites || []).map(p => '!' + p)].join(', ');
+    }
+
+    // ---------- PER-RULE PAGE CONDITIONS ----------
+    // Narrower than site scope: a rule may also require words elsewhere on the page (each entry
+    // must be present; "a | b" inside one entry means either), forbid words, be limited to URL
+    // paths ("/wiki/*", host-independent) and require an element matching a CSS selector. Paths are
+    // part of ruleAppliesToPage since they only need the URL; words and the selector need the
+    // document, so early priming leaves rules that use them for the detection pass to decide.
+    const conditionWordCache = new Map();
+    function sanitizeConditionList(list) {
+        return Array.isArray(list) ? list.map(w => String(w).trim()).filter(Boolean) : [];
+    }
+    function pathPatternToRegex(pattern) {
+        const key = 'P' + pattern;
+        if (sitePatternCache.has(key)) return sitePatternCache.get(key);
+        const src = pattern.startsWith('/') ? pattern : '/' + pattern;
+        const rx = new RegExp(`^${src.split('*').map(escapeRegExp).join('.*')}$`, 'i');
+        sitePatternCache.set(key, rx);
+        return rx;
+    }
+    function rulePathMatches(rule) {
+        const paths = rule.pathPatterns || [];
+        return paths.length === 0 || paths.some(p => pathPatternToRegex(p).test(window.location.pathname));
+    }
+    function conditionWordRegex(entry) {
+        if (conditionWordCache.has(entry)) return conditionWordCache.get(entry);
+        const source = entry.split('|').map(w => w.trim()).filter(Boolean)
+            .map(w => wrapWithWordBoundaries(w, escapeRegExp(w).replace(/\s+/g, '\\s+'))).join('|');
+        const rx = new RegExp(source, 'iu');
+        conditionWordCache.set(entry, rx);
+        return rx;
+    }
+    function hasContentConditions(rule) {
+        return !!((rule.requireWords || []).length || (rule.forbidWords || []).length || rule.requireSelector);
+    }
+    // getPageText is a thunk so the (possibly large) page text is only gathered when some rule asks.
+    function ruleContentConditionsMet(rule, getPageText) {
+        if (rule.requireSelector) {
+            try { if (!document.querySelector(rule.requireSelector)) return false; } catch (e) { return false; }
+        }
+        const required = rule.requireWords || [];
+        const forbidden = rule.forbidWords || [];
+        if (!required.length && !forbidden.length) return true;
+        const text = getPageText();
+        return required.every(w => conditionWordRegex(w).test(text)) && !forbidden.some(w => conditionWordRegex(w).test(text));
+    }
+    function formatRuleConditions(rule) {
+        return [
+            ...(rule.requireWords || []).map(w => `+${w}`),
+            ...(rule.forbidWords || []).map(w => `−${w}`),
+            ...(rule.pathPatterns || []),
+            ...(rule.requireSelector ? [`has ${rule.requireSelector}`] : [])
+        ].join('; ');
+    }
+
+    // ---------- SITE BLOCKLIST / ALLOWLIST ----------
+    // Entries use the same patterns as per-rule site scope: a plain host is that host only,
+    // "*.example.com" is the whole domain including example.com itself, and * works anywhere
+    // ("news.*"). Lists and mode are passed in so early priming can use its own GM reads.
+    function isSiteDisabled(blocked = blockedDomains, allowed = allowedDomains, mode = siteListMode) {
+        if (mode === 'allow') return !allowed.some(sitePatternMatches);
+        return blocked.some(sitePatternMatches);
+    }
+    // Not the full Public Suffix List, just the multi-label suffixes people actually run into, so
+    // "Block whole domain" on www.bbc.co.uk offers *.bbc.co.uk rather than *.co.uk.
+    const MULTI_LABEL_SUFFIXES = new Set([
+        'co.uk', 'org.uk', 'ac.uk', 'gov.uk', 'me.uk', 'com.au', 'net.au', 'org.au', 'edu.au', 'gov.au',
+        'co.nz', 'org.nz', 'co.jp', 'ne.jp', 'or.jp', 'ac.jp', 'co.kr', 'or.kr', 'co.in', 'org.in',
+        'co.za', 'com.br', 'com.cn', 'com.hk', 'com.tw', 'com.sg', 'com.my', 'com.mx', 'com.ar', 'com.tr',
+        'co.il', 'co.id', 'com.ua', 'github.io', 'gitlab.io', 'blogspot.com', 'herokuapp.com', 'netlify.app', 'vercel.app', 'pages.dev'
+    ]);
+    function registrableDomainOf(host) {
+        if (/^[\d.]+$/.test(host) || host.includes(':') || !host.includes('.')) return host; // IPs, localhost
+        const labels = host.split('.');
+        const keep = MULTI_LABEL_SUFFIXES.has(labels.slice(-2).join('.')) ? 3 : 2;
+        return labels.slice(-keep).join('.');
+    }
+
+    // ---------- PAUSE / SNOOZE ----------
+    // Unlike the blocklist these are meant to be temporary. PAUSE_KEY holds the global master switch
+    // and per-host "paused until" timestamps (shared by every tab); "this tab" pauses live in the
+    // page's sessionStorage so they end with the tab. Pausing reverts the page and resuming re-runs
+    // detection, both live; observers stay attached meanwhile so nothing needs a reload.
+    let pauseState = readGM(PAUSE_KEY, null) || { disabled: false, sites: {} };
+    let pauseExpiryTimer = null;
+    function isPausedForTab() {
+        try { return sessionStorage.getItem(PAUSE_SESSION_KEY) === HOST; } catch (e) { return false; }
+    }
+    function sitePausedUntil() {
+        const until = (pauseState.sites || {})[HOST] || 0;
+        return until > now() ? until : 0;
+    }
+    function isPaused() {
+        return !!pauseState.disabled || !!sitePausedUntil() || isPausedForTab();
+    }
+    function savePauseState() {
+        const sites = {};
+        for (const [host, until] of Object.entries(pauseState.sites || {})) if (until > now()) sites[host] = until;
+        pauseState = { disabled: !!pauseState.disabled, sites };
+        writeGM(PAUSE_KEY, pauseState);
+    }
+    function applyPauseChange(wasPaused) {
+        const paused = isPaused();
+        updatePauseIndicator();
+        schedulePauseExpiry();
+        if (paused && !wasPaused) revertAllReplacements();
+        else if (!paused && wasPaused) runDetectionAndApplyInternal().catch(e => error('Re-apply after resuming failed', e));
+    }
+    function schedulePauseExpiry() {
+        if (pauseExpiryTimer) { clearTimeout(pauseExpiryTimer); pauseExpiryTimer = null; }
+        const until = sitePausedUntil();
+        if (until) pauseExpiryTimer = setTimeout(() => { pauseExpiryTimer = null; applyPauseChange(true); if (isGuiOpen) showSettings(); }, until - now() + 50);
+    }
+    function setScriptEnabled(enabled) {
+        const wasPaused = isPaused();
+        pauseState.disabled = !enabled;
+        savePauseState();
+        applyPauseChange(wasPaused);
+    }
+    // duration is in ms, or 'session' for the rest of this tab's life.
+    function pauseSite(duration) {
+        const wasPaused = isPaused();
+        if (duration === 'session') {
+            try { sessionStorage.setItem(PAUSE_SESSION_KEY, HOST); } catch (e) { error('sessionStorage unavailable for tab pause', e); }
+        } else {
+            pauseState.sites = { ...(pauseState.sites || {}), [HOST]: now() + duration };
+            savePauseState();
+        }
+        applyPauseChange(wasPaused);
+    }
+    function resumeSite() {
+        const wasPaused = isPaused();
+        try { sessionStorage.removeItem(PAUSE_SESSION_KEY); } catch (e) {}
+        if (pauseState.sites) delete pauseState.sites[HOST];
+        savePauseState();
+        applyPauseChange(wasPaused);
+    }
+    function describePause() {
+        if (pauseState.disabled) return 'Script switched off everywhere';
+        const until = sitePausedUntil();
+        if (until) return `Paused on ${HOST} until ${new Date(until).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+        if (isPausedForTab()) return `Paused on ${HOST} for this tab`;
+        return '';
+    }
+    function updatePauseIndicator() {
+        if (!guiToggle) return;
+        const paused = isPaused();
+        guiToggle.classList.toggle('paused', paused);
+        guiToggle.textContent = paused ? '⏸' : '☰';
+        guiToggle.title = describePause();
+    }
+    try {
+        if (typeof GM_addValueChangeListener === 'function') {
+            GM_addValueChangeListener(PAUSE_KEY, (name, oldValue, newValue, remote) => {
+                if (!remote) return;
+                try {
+                    const wasPaused = isPaused();
+                    pauseState = (typeof newValue === 'string' ? JSON.parse(newValue) : newValue) || { disabled: false, sites: {} };
+                    applyPauseChange(wasPaused);
+                } catch (e) { error('Failed to parse remote pause state', e); }
+            });
+        }
+    } catch (e) { error('GM_addValueChangeListener registration failed for pause', e); }
+
     function writeGM(k, v) { try { GM_setValue(k, JSON.stringify(v)); } catch (e) { error('writeGM failed for', k, e); } }
 
+    // ---------- RAW REGEX RULES ----------
+    // Regex-mode rules use oldText as a real JavaScript pattern. 'g' is always added by us; the
+    // user may add i/m/s/u. Case sensitivity comes from those flags, not the Case Sensitive box.
+    function sanitizeRegexFlags(flags) {
+        return [...new Set(String(flags || '').replace(/[^imsu]/g, ''))].join('');
+    }
+
+    // Expands $1..$99, $<name>, $& and $$ in a regex rule's replacement against the actual match
+    // array, the same way String.prototype.replace would. Done by hand (rather than re-running the
+    // pattern on the matched substring) so lookarounds/anchors keep the context they matched in.
+    // wrap is applied to every piece of matched text that goes in (escapeHtml for rich rules).
+    function expandRegexTemplate(template, m, wrap = s => s) {
+        const groups = m.groups || {};
+        return template.replace(/\$(\$|&|<([^>]*)>|(\d{1,2}))/g, (tok, kind, name, num) => {
+            if (kind === '$') return '$';
+            if (kind === '&') return wrap(m[0]);
+            if (name !== undefined) return groups[name] != null ? wrap(groups[name]) : '';
+            let idx = parseInt(num, 10);
+            if (idx >= m.length && num.length === 2) {
+                idx = parseInt(num[0], 10);
+                return (idx > 0 && idx < m.length ? wrap(m[idx] || '') : '$' + num[0]) + num[1];
+            }
+            return idx > 0 && idx < m.length ? wrap(m[idx] || '') : tok;
+        });
+    }
+
+    // String.prototype.replace callbacks receive (match, p1..pn, offset, input[, groups]); the
+    // trailing groups object only exists when the pattern has named groups, which shifts where
+    // offset/input sit. Rebuild an exec()-style match array so callers don't have to care.
+    function replaceArgsToMatch(args) {
+        const hasGroups = args.length > 2 && typeof args[args.length - 1] === 'object' && args[args.length - 1] !== null;
+        const end = hasGroups ? args.length - 1 : args.length;
+        const m = args.slice(0, end - 2);
+        m.index = args[end - 2];
+        m.input = args[end - 1];
+        if (hasGroups) m.groups = args[args.length - 1];
+        return m;
+    }
+
     // ---------- ENGINE LOGIC ----------
-    function compileRuleRegex(rule, forHtml = false) {
-        const cacheKey = `${rule.id}_${forHtml ? 'H' : 'T'}_${rule.updatedAt}`;
+    function compileRuleRegex(rule, forBlock = false) {
+        const cacheKey = `${rule.id}_${forBlock ? 'B' : 'T'}_${rule.updatedAt}`;
         if (regexCache.has(cacheKey)) return regexCache.get(cacheKey);
 
-        const parts = rule.oldText.split(/\s*\|\s*/);
-        const branchRegexes = parts.map(part => {
-            const subParts = part.split(/\s*---\s*/);
-            const parsedPart = subParts.map(sp => {
-                return sp.split(/\s+/).map(w => w.split('').map(escapeRegExp).join('[\\u200B-\\u200D\\uFEFF]*')).join(forHtml ? '(?:<[^>]+>|\\s|&nbsp;)+' : '\\s+');
-            }).join(forHtml ? '(?:<[^>]+>|\\s|&nbsp;)+(.*?)(?:<[^>]+>|\\s|&nbsp;)+' : '\\s+(.*?)\\s+');
-            const pre = /^[\w'’]/.test(part) ? '\\b' : '';
-            const post = /[\w'’]$/.test(part) ? '\\b' : '';
-            return `${pre}${parsedPart}${post}`;
-        });
-        const rx = new RegExp(`(${branchRegexes.join('|')})`, rule.caseSensitive ? 'g' : 'gi');
+        if (rule.isRegex) {
+            // Deliberately not wrapped in an outer group: $1 in the replacement must mean the
+            // user's own first group. Throws on an invalid pattern; every caller already guards.
+            const rawRx = new RegExp(rule.oldText, 'g' + sanitizeRegexFlags(rule.regexFlags));
+            regexCache.set(cacheKey, rawRx);
+            return rawRx;
+        }
+
+        const rx = new RegExp(`(${buildLiteralRuleSource(rule, forBlock)})`, rule.caseSensitive ? 'gu' : 'giu');
         regexCache.set(cacheKey, rx);
         return rx;
     }
 
+    // Only used for literal rules: regex rules never join the combined regex (see buildCombinedRegex).
     function getRuleBranchSource(rule) {
-        const parts = rule.oldText.split(/\s*\|\s*/);
+        return buildLiteralRuleSource(rule, false);
+    }
+
+    // Shared by compileRuleRegex (per-rule and block-text) and getRuleBranchSource (combined regex),
+    // so every pass and early priming agree on exactly what a literal rule matches. Words are split
+    // by code point (Array.from, not split('')) because the patterns use the u flag, where half of
+    // an emoji's surrogate pair would never match.
+    function buildLiteralRuleSource(rule, forBlock) {
+        const fold = !!rule.ignoreAccents;
+        const parts = (fold ? foldString(rule.oldText) : rule.oldText).split(/\s*\|\s*/);
         const branchRegexes = parts.map(part => {
             const subParts = part.split(/\s*---\s*/);
-            const parsedPart = subParts.map(sp => {
-                return sp.split(/\s+/).map(w => w.split('').map(escapeRegExp).join('[\\u200B-\\u200D\\uFEFF]*')).join('\\s+');
-            }).join('\\s+(.*?)\\s+');
-            const pre = /^[\w'’]/.test(part) ? '\\b' : '';
-            const post = /[\w'’]$/.test(part) ? '\\b' : '';
-            return `${pre}${parsedPart}${post}`;
+            const charPattern = fold ? foldCharPattern : escapeRegExp;
+            const wordPattern = w => Array.from(w).map(charPattern).join('[\\u200B-\\u200D\\uFEFF]*');
+            const parsedPart = subParts.map((sp, spIdx) => {
+                const words = sp.split(/\s+/);
+                return words.map((w, wIdx) => {
+                    // Inflection only ever applies to the term's final word ("computer mouse" -> "computer mice").
+                    if (!rule.inflect || spIdx !== subParts.length - 1 || wIdx !== words.length - 1) return wordPattern(w);
+                    const forms = getInflectedForms(w).map(f => f.form).sort((a, b) => b.length - a.length);
+                    return `(?:${forms.map(wordPattern).join('|')})`;
+                }).join(forBlock ? '[\\s\\uFDD0]+' : '\\s+');
+            }).join(forBlock ? '[\\s\\uFDD0]+([^\\uFDD1]*?)[\\s\\uFDD0]+' : '\\s+(.*?)\\s+');
+            return wrapWithWordBoundaries(part, parsedPart);
         });
         return branchRegexes.join('|');
     }
 
+    // ---------- WORD BOUNDARIES ----------
+    // \b only knows ASCII [A-Za-z0-9_], so "café" or any Cyrillic/Greek/Arabic term used to get no
+    // boundary at all and matched inside longer words. These lookarounds use Unicode properties
+    // instead (patterns carry the u flag). Scripts written without spaces between words (Han, kana,
+    // Thai, Lao, Khmer, Myanmar) get no boundary: every neighbouring character is a letter there,
+    // so requiring one would mean such terms could never match mid-sentence.
+    const WORD_CHAR_CLASS = '[\\p{L}\\p{M}\\p{N}_]';
+    const WORD_CHAR_RX = /[\p{L}\p{M}\p{N}_]/u;
+    const UNSPACED_SCRIPT_RX = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}\p{Script=Lao}\p{Script=Khmer}\p{Script=Myanmar}]/u;
+    function needsWordBoundary(ch) {
+        return !!ch && WORD_CHAR_RX.test(ch) && !UNSPACED_SCRIPT_RX.test(ch);
+    }
+    function wrapWithWordBoundaries(text, source) {
+        const chars = Array.from(text);
+        const pre = needsWordBoundary(chars[0]) ? `(?<!${WORD_CHAR_CLASS})` : '';
+        const post = needsWordBoundary(chars[chars.length - 1]) ? `(?!${WORD_CHAR_CLASS})` : '';
+        return `${pre}${source}${post}`;
+    }
+
+    // ---------- ACCENT / WIDTH FOLDING ----------
+    // For "Ignore Accents & Width" rules the term is folded (NFKD, combining marks stripped — which
+    // also maps full-width and half-width forms to their plain counterparts) and each character is
+    // then expanded into a class of every precomposed/full-width character that folds to it, plus
+    // any trailing combining marks. The folding lives entirely in the pattern, in the same spirit as
+    // the zero-width-character tolerance above, so matches still index straight into the untouched
+    // page text: no offset remapping in buildTextMap, the combined regex, the block-text Pass 1
+    // regex or early priming, and repDataMap records the original text exactly as it was.
+    let foldEquivalents = null;
+    function foldString(str) {
+        return str.normalize('NFKD').replace(/\p{M}/gu, '');
+    }
+    function getFoldEquivalents() {
+        if (foldEquivalents) return foldEquivalents;
+        foldEquivalents = new Map();
+        // Latin-1/Extended, Greek, Cyrillic, Latin Extended Additional, Greek Extended,
+        // letterlike symbols, kana, and the full-width/half-width forms block.
+        const ranges = [[0x00C0, 0x024F], [0x0370, 0x03FF], [0x0400, 0x04FF], [0x1E00, 0x1EFF], [0x1F00, 0x1FFF], [0x2100, 0x214F], [0x3040, 0x30FF], [0xFF01, 0xFFEE]];
+        for (const [from, to] of ranges) {
+            for (let cp = from; cp <= to; cp++) {
+                const ch = String.fromCodePoint(cp);
+                const base = foldString(ch);
+                // Multi-character folds (ligatures like "ﬁ") can't be a single class member.
+                if (base.length !== 1 || base === ch) continue;
+                if (!foldEquivalents.has(base)) foldEquivalents.set(base, []);
+                foldEquivalents.get(base).push(ch);
+            }
+        }
+        return foldEquivalents;
+    }
+    function foldCharPattern(ch) {
+        const own = ch === "'" ? ["'", '’'] : [ch];
+        const members = own.concat(getFoldEquivalents().get(ch) || []);
+        if (members.length === 1) return `${escapeRegExp(ch)}\\p{M}*`;
+        return `[${members.map(c => c.replace(/[\\\]\[^-]/g, '\\$&')).join('')}]\\p{M}*`;
+    }
+
+    // ---------- ENGLISH INFLECTION ----------
+    // "Inflections" rules match a term's final word in all its common English forms (plural,
+    // possessive, -s, -ed, -ing) and put the same form of the replacement's final word back, so
+    // "mouse -> rat" also turns "mice" into "rats" and "mouse's" into "rat's". Irregular forms come
+    // from the tables below, and the user's overrides ("octopus: plural=octopodes") win over both
+    // them and the regular spelling rules. Overrides are mirrored to GM storage so early priming,
+    // which runs before IndexedDB settings load, builds the very same patterns.
+    const IRREGULAR_PLURALS = {
+        man: 'men', woman: 'women', child: 'children', person: 'people', mouse: 'mice', louse: 'lice',
+        goose: 'geese', tooth: 'teeth', foot: 'feet', ox: 'oxen', die: 'dice', cactus: 'cacti',
+        fungus: 'fungi', nucleus: 'nuclei', radius: 'radii', analysis: 'analyses', crisis: 'crises',
+        thesis: 'theses', phenomenon: 'phenomena', criterion: 'criteria', leaf: 'leaves', wolf: 'wolves',
+        knife: 'knives', wife: 'wives', life: 'lives', half: 'halves', calf: 'calves', shelf: 'shelves',
+        thief: 'thieves', loaf: 'loaves', potato: 'potatoes', tomato: 'tomatoes', hero: 'heroes',
+        echo: 'echoes', sheep: 'sheep', fish: 'fish', deer: 'deer', series: 'series', species: 'species'
+    };
+    const IRREGULAR_PAST = {
+        go: 'went', have: 'had', do: 'did', say: 'said', make: 'made', get: 'got', see: 'saw', come: 'came',
+        take: 'took', know: 'knew', think: 'thought', give: 'gave', find: 'found', tell: 'told',
+        become: 'became', leave: 'left', feel: 'felt', bring: 'brought', begin: 'began', keep: 'kept',
+        hold: 'held', write: 'wrote', stand: 'stood', hear: 'heard', mean: 'meant', meet: 'met', run: 'ran',
+        pay: 'paid', sit: 'sat', speak: 'spoke', lead: 'led', grow: 'grew', lose: 'lost', fall: 'fell',
+        send: 'sent', build: 'built', understand: 'understood', draw: 'drew', break: 'broke', spend: 'spent',
+        rise: 'rose', drive: 'drove', buy: 'bought', wear: 'wore', choose: 'chose', eat: 'ate', drink: 'drank',
+        sing: 'sang', swim: 'swam', fly: 'flew', catch: 'caught', teach: 'taught', fight: 'fought',
+        sell: 'sold', sleep: 'slept', win: 'won', throw: 'threw', forget: 'forgot', hide: 'hid', ride: 'rode',
+        shake: 'shook', steal: 'stole', wake: 'woke', bite: 'bit', put: 'put', hit: 'hit', hurt: 'hurt',
+        shut: 'shut', quit: 'quit', cost: 'cost', cut: 'cut', set: 'set', let: 'let', read: 'read'
+    };
+    const IRREGULAR_THIRD_PERSON = { have: 'has', do: 'does', go: 'goes' };
+    const INFLECTION_FORM_KEYS = ['base', 'plural', 's', 'possessive', 'pluralPossessive', 'ed', 'ing'];
+    const OVERRIDABLE_FORM_KEYS = ['plural', 's', 'ed', 'ing'];
+    let inflectionOverrides = readGM(INFLECTION_KEY, []) || [];
+    let inflectionOverrideMap = buildInflectionOverrideMap(inflectionOverrides);
+    const inflectionCache = new Map();
+
+    // "base: key=value, key=value" with keys plural, s, ed, ing; returns null if malformed.
+    function parseInflectionOverride(line) {
+        const m = String(line || '').match(/^\s*([^:]+?)\s*:\s*(.+)$/);
+        if (!m) return null;
+        const forms = {};
+        for (const pair of m[2].split(',')) {
+            const kv = pair.split('=').map(x => x.trim());
+            if (kv.length !== 2 || !OVERRIDABLE_FORM_KEYS.includes(kv[0]) || !kv[1]) return null;
+            forms[kv[0]] = kv[1].toLowerCase();
+        }
+        return { word: m[1].toLowerCase(), forms };
+    }
+    function buildInflectionOverrideMap(list) {
+        const map = new Map();
+        (Array.isArray(list) ? list : []).forEach(line => { const parsed = parseInflectionOverride(line); if (parsed) map.set(parsed.word, parsed.forms); });
+        return map;
+    }
+
+    function inflectWord(word, key) {
+        if (key === 'base') return word;
+        const lw = word.toLowerCase();
+        const shape = caseShapeOf(word);
+        const cased = form => applyCaseShape(form, shape);
+        const suffix = sfx => word + (shape === 'upper' ? sfx.toUpperCase() : sfx);
+        const override = inflectionOverrideMap.get(lw) || {};
+        const doublesFinal = /^[^aeiou]*[aeiou][^aeiouwxy]$/.test(lw); // stop -> stopped, run -> running
+        switch (key) {
+            case 'plural':
+            case 's': {
+                if (override[key]) return cased(override[key]);
+                const table = key === 'plural' ? IRREGULAR_PLURALS : IRREGULAR_THIRD_PERSON;
+                if (table[lw]) return cased(table[lw]);
+                if (/(s|x|z|ch|sh)$/.test(lw)) return suffix('es');
+                if (/[^aeiou]y$/.test(lw)) return word.slice(0, -1) + (shape === 'upper' ? 'IES' : 'ies');
+                if (key === 's' && /[^aeiou]o$/.test(lw)) return suffix('es');
+                return suffix('s');
+            }
+            case 'possessive': return suffix("'s");
+            case 'pluralPossessive': {
+                const plural = inflectWord(word, 'plural');
+                return /s$/i.test(plural) ? plural + "'" : plural + (shape === 'upper' ? "'S" : "'s");
+            }
+            case 'ed':
+                if (override.ed) return cased(override.ed);
+                if (IRREGULAR_PAST[lw]) return cased(IRREGULAR_PAST[lw]);
+                if (/e$/.test(lw)) return suffix('d');
+                if (/[^aeiou]y$/.test(lw)) return word.slice(0, -1) + (shape === 'upper' ? 'IED' : 'ied');
+                return doublesFinal ? suffix(word.slice(-1) + 'ed') : suffix('ed');
+            case 'ing':
+                if (override.ing) return cased(override.ing);
+                if (/ie$/.test(lw)) return word.slice(0, -2) + (shape === 'upper' ? 'YING' : 'ying');
+                if (/[^aeioy]e$/.test(lw)) return word.slice(0, -1) + (shape === 'upper' ? 'ING' : 'ing');
+                return doublesFinal ? suffix(word.slice(-1) + 'ing') : suffix('ing');
+            default: return word;
+        }
+    }
+
+    // Every distinct form of a word, in INFLECTION_FORM_KEYS order; when two forms spell the same
+    // ("sheep"/"sheep"), the earlier key keeps it.
+    function getInflectedForms(word) {
+        if (inflectionCache.has(word)) return inflectionCache.get(word);
+        const seen = new Set();
+        const forms = [];
+        for (const key of INFLECTION_FORM_KEYS) {
+            const form = inflectWord(word, key);
+            if (seen.has(form.toLowerCase())) continue;
+            seen.add(form.toLowerCase());
+            forms.push({ key, form });
+        }
+        inflectionCache.set(word, forms);
+        return forms;
+    }
+
+    // Which form of the rule's final word the matched text ends in (longest match wins).
+    function inflectionFormOf(rule, matchText) {
+        const norm = str => foldString(str.replace(/[\u200B-\u200D\uFEFF]/g, '')).replace(/’/g, "'").toLowerCase();
+        const tail = norm(matchText);
+        let best = null;
+        for (const branch of rule.oldText.split(/\s*\|\s*/)) {
+            const lastWord = branch.split(/\s*---\s*/).pop().trim().split(/\s+/).pop();
+            if (!lastWord) continue;
+            for (const { key, form } of getInflectedForms(rule.ignoreAccents ? foldString(lastWord) : lastWord)) {
+                const f = norm(form);
+                if (tail.endsWith(f) && (!best || f.length > best.len)) best = { key, len: f.length };
+            }
+        }
+        return best ? best.key : 'base';
+    }
+
+    // skipTags: for rich replacements, "<b>rat</b>" inflects "rat", not the "b" of the closing tag.
+    function inflectLastWord(text, key, skipTags = false) {
+        if (key === 'base') return text;
+        const lastWordRx = skipTags ? /[\p{L}\p{M}]+(?=(?:[^\p{L}\p{M}<]|<[^>]*>)*$)/u : /[\p{L}\p{M}]+(?=[^\p{L}\p{M}]*$)/u;
+        return text.replace(lastWordRx, w => inflectWord(w, key));
+    }
+
     // ---------- WORD-COUNT PRIORITY ----------
     // Determines how "specific" a rule is (by its longest word-count branch) so that,
     // when two rules' matches overlap (e.g. "student" vs "this student"), the rule
@@ -200,41 +737,623 @@
     function countRuleWords(rule) {
         const cacheKey = `${rule.id}_${rule.updatedAt}`;
         if (wordCountCache.has(cacheKey)) return wordCountCache.get(cacheKey);
+        if (rule.isRegex) {
+            // No literal words to count in a pattern; approximate by its whitespace tokens
+            // (literal spaces and \s) so "(\w+),\s+(\w+)" still ranks as a two-word rule.
+            const approx = Math.max(1, (rule.oldText || '').split(/\\s[+*?]?|\s+/).filter(Boolean).length);
+            wordCountCache.set(cacheKey, approx);
+            return approx;
+        }
         const branches = (rule.oldText || '').split(/\s*\|\s*/);
         let maxWords = 0;
         for (const branch of branches) {
             const words = branch.split(/\s*---\s*/).join(' ').trim().split(/\s+/).filter(Boolean);
-            if (words.length > maxWords) maxWords = words.length;
+            let count = words.length;
+            // Built-in forms are single words, but an override may spell one as two
+            // ("octopus: plural=octopus pods"), and that form then covers more of the text.
+            if (rule.inflect && count) {
+                const last = words[count - 1];
+                const formWords = getInflectedForms(rule.ignoreAccents ? foldString(last) : last).map(f => f.form.trim().split(/\s+/).length);
+                count += Math.max(...formWords) - 1;
+            }
+            if (count > maxWords) maxWords = count;
         }
         wordCountCache.set(cacheKey, maxWords);
         return maxWords;
     }
 
-    function processReplacement(rule, matchText, capturedGap) {
-        let out = rule.newText;
+    // The one ordering every pass uses (combined-regex ranks, cross-element, block and text passes,
+    // early priming). An explicit rule.priority (higher first, 0 = unset) outranks the heuristics,
+    // so a one-word proper-noun override can still beat a longer overlapping term.
+    function compareRulePriority(a, b) {
+        const prioDiff = (Number(b.priority) || 0) - (Number(a.priority) || 0);
+        if (prioDiff !== 0) return prioDiff;
+        // More words = more specific = higher priority, so e.g. "this student" (2 words)
+        // wins over an overlapping "student" (1 word) instead of both trying to apply.
+        const wordDiff = countRuleWords(b) - countRuleWords(a);
+        if (wordDiff !== 0) return wordDiff;
+        const lenDiff = (b.oldText || '').length - (a.oldText || '').length;
+        if (lenDiff !== 0) return lenDiff;
+        const aSmart = !!a.smartPriority;
+        const bSmart = !!b.smartPriority;
+        if (aSmart !== bSmart) return aSmart ? -1 : 1;
+        if (aSmart) {
+            const aStats = ruleStats.get(a.id) || { lastUsed: 0, matchCount: 0 };
+            const bStats = ruleStats.get(b.id) || { lastUsed: 0, matchCount: 0 };
+            if (aStats.lastUsed !== bStats.lastUsed) return bStats.lastUsed - aStats.lastUsed;
+            if (aStats.matchCount !== bStats.matchCount) return bStats.matchCount - aStats.matchCount;
+        }
+        return 0;
+    }
+
+    // Resolves overlapping matches the way every pass does: the best ranked rule (lowest rank, its
+    // index in the compareRulePriority order) claims its matches first, leftmost first, and each
+    // later candidate is kept only if it overlaps nothing already claimed. Returned in text order.
+    function claimByRank(candidates) {
+        const kept = [];
+        for (const c of [...candidates].sort((a, b) => a.rank - b.rank || a.start - b.start)) {
+            if (!kept.some(k => c.start < k.end && k.start < c.end)) kept.push(c);
+        }
+        return kept.sort((a, b) => a.start - b.start);
+    }
+
+    // ---------- CASE PRESERVATION ----------
+    // Classifies a word's casing as 'upper', 'lower', 'title', or null for anything mixed (e.g.
+    // "iPhone") that has no obvious pattern to copy — those replacement words are left as typed.
+    function caseShapeOf(word) {
+        const letters = word.replace(/[^\p{L}]/gu, '');
+        if (!letters || letters.toUpperCase() === letters.toLowerCase()) return null;
+        if (letters === letters.toLowerCase()) return 'lower';
+        if (letters === letters.toUpperCase()) return letters.length > 1 ? 'upper' : 'title';
+        const rest = letters.slice(1);
+        if (letters[0] === letters[0].toUpperCase() && rest === rest.toLowerCase()) return 'title';
+        return null;
+    }
+    function applyCaseShape(word, shape) {
+        if (shape === 'upper') return word.toUpperCase();
+        if (shape === 'lower') return word.toLowerCase();
+        if (shape === 'title') return word.replace(/\p{L}/u, ch => ch.toUpperCase());
+        return word;
+    }
+
+    // Copies the matched text's casing onto the replacement: an all-caps or all-lowercase match
+    // recases the whole replacement, a single Title-cased word capitalises just its first letter,
+    // and multi-word matches are mapped word by word (extra replacement words only follow along
+    // when the match was consistently Title Case). wholeOnly skips the per-word mapping for gap
+    // rules, where the replacement carries the user's own captured words through.
+    function matchCasePattern(source, replacement, wholeOnly) {
+        const whole = caseShapeOf(source);
+        if (whole === 'upper' || whole === 'lower') return applyCaseShape(replacement, whole);
+        const srcWords = source.trim().split(/\s+/).filter(Boolean);
+        if (wholeOnly || srcWords.length < 2) return whole === 'title' || caseShapeOf(srcWords[0] || '') === 'title' ? applyCaseShape(replacement, 'title') : replacement;
+        const shapes = srcWords.map(caseShapeOf);
+        const allTitle = shapes.every(sh => sh === 'title');
+        let wordIdx = 0;
+        return replacement.split(/(\s+)/).map(part => {
+            if (!part || /^\s+$/.test(part)) return part;
+            const shape = wordIdx < shapes.length ? shapes[wordIdx] : (allTitle ? 'title' : null);
+            wordIdx++;
+            return applyCaseShape(part, shape);
+        }).join('');
+    }
+
+    // Runs a recasing function over just the text of a rich replacement. Tags and entities are set
+    // aside first, since upper-casing "<a href=...>" or "&nbsp;" would change what they mean; the
+    // text pieces are recased as one string (joined by a private-use marker) so word-by-word
+    // mapping still lines up across "<b>big</b> bird".
+    function recaseRichText(markup, recase) {
+        const parts = markup.split(/(<(?:[^>"']|"[^"]*"|'[^']*')*>|&#?\w+;)/);
+        const texts = recase(parts.filter((_, i) => i % 2 === 0).join('\uE000')).split('\uE000');
+        if (texts.length * 2 - 1 !== parts.length) return markup;
+        return parts.map((part, i) => i % 2 === 0 ? texts[i / 2] : part).join('');
+    }
+
+    // True when the match follows sentence-ending punctuation in the text it was found in. The
+    // start of a text node isn't treated as a sentence start, since it may just follow inline markup.
+    function isAtSentenceStart(match) {
+        if (!match || typeof match.input !== 'string' || typeof match.index !== 'number') return false;
+        const before = match.input.slice(Math.max(0, match.index - 12), match.index);
+        return /[.!?…]["'”’)\]]*\s+$/.test(before);
+    }
+
+    // ---------- REPLACEMENT VARIANTS ----------
+    // "{stand-up|sync|huddle}" in a replacement picks one alternative per occurrence. variantMode
+    // chooses how: at random (the default), the same pick for every occurrence on a page (hashed
+    // from the page URL, so a reload keeps it), or in turn per rule ('rotate'). Braces only count
+    // with a "|" inside, and the "#{...}#" gap filter is left alone. The match worker gets
+    // variantPageKey and variantCounters with each job and hands the counters back.
+    const VARIANT_RX = /(?<!#)\{([^{}]*\|[^{}]*)\}(?!#)/g;
+    const VARIANT_MODES = ['random', 'page', 'rotate'];
+    const VARIANT_MODE_LABELS = { random: 'Random each time', page: 'Same per page', rotate: 'In turn' };
+    let variantPageKey = location.origin + location.pathname + location.search;
+    let variantCounters = {};
+
+    function hasVariants(text) { return typeof text === 'string' && text.search(VARIANT_RX) !== -1; }
+
+    function hashString(str) {
+        let h = 2166136261;
+        for (let i = 0; i < str.length; i++) { h ^= str.charCodeAt(i); h = Math.imul(h, 16777619); }
+        return h >>> 0;
+    }
+
+    // rule.newText with each variant group resolved; pick.variant gets the chosen alternatives.
+    function chooseVariants(rule, pick) {
+        const text = rule.newText || '';
+        if (!hasVariants(text)) return text;
+        const mode = VARIANT_MODES.includes(rule.variantMode) ? rule.variantMode : 'random';
+        const turn = mode === 'rotate' ? (variantCounters[rule.id] = (variantCounters[rule.id] || 0) + 1) - 1 : 0;
+        const chosen = [];
+        const out = text.replace(VARIANT_RX, (all, body) => {
+            const options = body.split('|');
+            let idx;
+            if (mode === 'page') idx = hashString(`${variantPageKey}\n${rule.id}\n${chosen.length}`) % options.length;
+            else if (mode === 'rotate') idx = turn % options.length;
+            else idx = Math.floor(Math.random() * options.length);
+            chosen.push(options[idx]);
+            return options[idx];
+        });
+        if (pick) pick.variant = chosen.join(' · ');
+        return out;
+    }
+
+    function mergeVariantCounters(counters) {
+        for (const [id, n] of Object.entries(counters || {})) variantCounters[id] = Math.max(variantCounters[id] || 0, n);
+    }
+
+    // Pass a pick object to learn which variant was used, for repDataMap (see recordVariant).
+    // chainRules (the pass's rule list) is only needed for chainable rules; see RULE CHAINING.
+    function processReplacement(rule, matchText, capturedGap, match, chainRules = null, pick = null) {
+        let out = buildReplacementText(rule, matchText, capturedGap, match, chooseVariants(rule, pick));
+        if (rule.preserveCase) {
+            const recase = text => {
+                const cased = matchCasePattern(matchText, text, !!capturedGap);
+                return isAtSentenceStart(match) ? applyCaseShape(cased, 'title') : cased;
+            };
+            out = rule.richText ? recaseRichText(out, recase) : recase(out);
+        }
+        return chainRules && rule.chainable ? chainReplacement(out, rule, chainRules) : out;
+    }
+
+    // Page text (captures, the "---" gap) goes into a rich template escaped, as text, never as markup.
+    function buildReplacementText(rule, matchText, capturedGap, match, template = rule.newText || '') {
+        const fromPage = rule.richText ? escapeHtml : (s => s);
+        if (rule.isRegex) return expandRegexTemplate(template, match || [matchText], fromPage);
+        let out = template;
         const filterMatch = out.match(/#\{(.*?)\}#/);
         let gapText = capturedGap || '';
         if (filterMatch) {
             const wordsToExclude = filterMatch[1].split(',').map(s => s.trim().toLowerCase());
             wordsToExclude.forEach(w => {
-                const wReg = new RegExp(`\\b${escapeRegExp(w)}\\b`, 'gi');
+                const wReg = new RegExp(wrapWithWordBoundaries(w, Array.from(w).map(escapeRegExp).join('')), 'giu');
                 gapText = gapText.replace(wReg, '').replace(/\s{2,}/g, ' ').trim();
             });
             out = out.replace(filterMatch[0], '');
         }
-        if (out.includes('---')) { out = out.replace('---', gapText); }
-        else if (capturedGap) { out += ' ' + gapText; }
+        if (rule.inflect) out = inflectLastWord(out, inflectionFormOf(rule, matchText), rule.richText);
+        if (out.includes('---')) { out = out.replace('---', () => fromPage(gapText)); }
+        else if (capturedGap) { out += ' ' + fromPage(gapText); }
         return out.trim();
     }
 
+    // ---------- RULE CHAINING ----------
+    // Replacement output is normally final: our spans are opaque to every walker. A chainable rule's
+    // output is instead run through the other rules before it is inserted, so "colour → color" plus
+    // "color → hue" yields one span reading "hue" that still reverts to "colour". Only text produced
+    // by a chainable rule is fed on, each rule fires at most once per chain, and MAX_CHAIN_PASSES
+    // bounds the depth, so even rules that form a loop (flagged in the Library) always terminate.
+    const MAX_CHAIN_PASSES = 4;
+
+    // Non-overlapping matches in a plain string, overlaps going to the higher-ranked (earlier)
+    // rule in rulesList wherever they start, the same precedence the text passes use.
+    function findStringReplacements(text, rulesList, chainRules = null) {
+        const candidates = [];
+        rulesList.forEach((rule, rank) => {
+            let rx;
+            try { rx = compileRuleRegex(rule, false); } catch (e) { return; }
+            rx.lastIndex = 0;
+            let match;
+            while ((match = rx.exec(text)) !== null) {
+                if (match[0].length === 0) { rx.lastIndex++; continue; }
+                candidates.push({ start: match.index, end: match.index + match[0].length, rank, rule, match });
+            }
+        });
+        return claimByRank(candidates).map(c => {
+            const gap = c.rule.isRegex ? '' : (c.match[2] || c.match[3] || '');
+            return { start: c.start, end: c.end, rule: c.rule, rep: processReplacement(c.rule, c.match[0], gap, c.match, chainRules) };
+        });
+    }
+
+    function chainReplacement(text, rule, chainRules) {
+        if (rule.richText) return text; // markup isn't something later rules should match inside
+        const used = new Set([rule.id]);
+        let segments = [{ text, feed: true }];
+        for (let pass = 0; pass < MAX_CHAIN_PASSES; pass++) {
+            const targets = chainRules.filter(r => !used.has(r.id) && !r.richText);
+            if (!targets.length) break;
+            let changed = false;
+            segments = segments.flatMap(seg => {
+                if (!seg.feed) return [seg];
+                const found = findStringReplacements(seg.text, targets);
+                if (!found.length) return [{ text: seg.text, feed: false }];
+                changed = true;
+                const parts = [];
+                let cursor = 0;
+                for (const f of found) {
+                    parts.push({ text: seg.text.slice(cursor, f.start), feed: false }, { text: f.rep, feed: !!f.rule.chainable });
+                    used.add(f.rule.id);
+                    cursor = f.end;
+                }
+                parts.push({ text: seg.text.slice(cursor), feed: false });
+                return parts;
+            });
+            if (!changed) break;
+        }
+        return segments.map(seg => seg.text).join('');
+    }
+
+    let chainLoopCache = { key: null, ids: new Set() };
+    function getChainLoops() {
+        const key = localRules.filter(r => r.chainable).map(r => `${signatureOf(r)}:::${r.enabled}`).join('\n');
+        if (chainLoopCache.key !== key) chainLoopCache = { key, ids: key ? findChainLoops(localRules) : new Set() };
+        return chainLoopCache.ids;
+    }
+    // Ids of chainable rules whose output leads back to themselves through other chainable rules
+    // (including a rule whose output matches its own pattern), for the Library warning.
+    function findChainLoops(rules) {
+        const chainable = rules.filter(r => r.chainable && !r.richText && r.enabled !== false);
+        const edges = new Map(chainable.map(r => [r.id, new Set(detectRulesInText(chainable, r.newText || ''))]));
+        const inLoop = new Set();
+        for (const start of chainable) {
+            const seen = new Set();
+            const stack = [...edges.get(start.id)];
+            while (stack.length) {
+                const id = stack.pop();
+                if (id === start.id) { inLoop.add(start.id); break; }
+                if (seen.has(id)) continue;
+                seen.add(id);
+                stack.push(...(edges.get(id) || []));
+            }
+        }
+        return inLoop;
+    }
+
     // ---------- PROTECTED AREA CHECK ----------
     function isInProtectedArea(node) {
-        if (!protectedSelectorString) return false;
+        if (!protectedSelectorString || !node) return false;
         const el = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
         if (!el || !el.closest) return false;
         // closest() already checks the element itself before walking ancestors,
         // so a separate matches() call first was redundant on this very hot path.
-        return !!el.closest(protectedSelectorString);
+        return !!closestComposed(el, protectedSelectorString);
+    }
+
+    // ---------- SHADOW DOM ----------
+    // Open shadow roots are separate trees: document-level TreeWalkers, querySelectorAll, closest()
+    // and MutationObservers all stop at their boundary, and document styles don't reach inside.
+    // They're discovered by scanning for elements with a .shadowRoot (page-world attachShadow calls
+    // can't be hooked from the userscript sandbox), then walked/observed as extra roots.
+    let currentShadowRoots = [];
+    const observedShadowRoots = new WeakSet();
+    const HIGHLIGHT_CSS = `
+            .tr-replaced { background:rgba(103,80,164,0.15) !important; border-bottom:2px solid var(--md-sys-color-primary, #6750A4) !important; border-radius:4px !important; padding:0 2px !important; color:inherit !important; cursor:pointer; }
+            .tr-replaced-hidden { display:inline; cursor:text; }`;
+
+    // closest() that keeps climbing through shadow hosts (and out of same-origin frames into their
+    // <iframe> element), so an element inside a web component or frame nested in a protected area
+    // (or in our own GUI) is still recognised as being inside it.
+    function closestComposed(el, selector) {
+        while (el) {
+            const hit = el.closest(selector);
+            if (hit) return hit;
+            const root = el.getRootNode ? el.getRootNode() : null;
+            if (root && root.host) { el = root.host; continue; }
+            const view = root && root !== document ? root.defaultView : null;
+            el = view ? view.frameElement : null;
+        }
+        return null;
+    }
+
+    function collectOpenShadowRoots(root, out = []) {
+        if (!root) return out;
+        if (root.shadowRoot) { out.push(root.shadowRoot); collectOpenShadowRoots(root.shadowRoot, out); }
+        const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT, null, false);
+        let el;
+        while ((el = walker.nextNode())) {
+            if (el.shadowRoot) { out.push(el.shadowRoot); collectOpenShadowRoots(el.shadowRoot, out); }
+        }
+        return out;
+    }
+
+    // Rescans the page (or only scopeRoots, adding to what's already known) for open shadow roots
+    // and starts the main observer on any new ones. Returns the roots found in this scan.
+    function refreshShadowRoots(scopeRoots = null) {
+        const body = document.body || document.documentElement;
+        const found = (scopeRoots || [body, ...currentFrameDocs.map(fdoc => fdoc.body)])
+            .reduce((out, root) => collectOpenShadowRoots(root, out), [])
+            .filter(sr => !closestComposed(sr.host, '#text-replacer-gui, #tr-dialog-wrapper'));
+        currentShadowRoots = scopeRoots ? currentShadowRoots.concat(found.filter(sr => !currentShadowRoots.includes(sr))) : found;
+        if (mo) {
+            for (const sr of currentShadowRoots) {
+                if (observedShadowRoots.has(sr)) continue;
+                observedShadowRoots.add(sr);
+                observeRoot(sr);
+            }
+        }
+        return found;
+    }
+
+    function getReplacementRoots() {
+        return [
+            document.body || document.documentElement,
+            ...currentFrameDocs.filter(fdoc => fdoc.body && fdoc.defaultView).map(fdoc => fdoc.body),
+            ...currentShadowRoots.filter(sr => sr.host && sr.host.isConnected)
+        ];
+    }
+
+    function ensureShadowStyles(root) {
+        if (!root || !root.host || root.querySelector('style[data-tr-shadow-styles]')) return;
+        const style = document.createElement('style');
+        style.dataset.trShadowStyles = 'true';
+        style.textContent = HIGHLIGHT_CSS;
+        root.appendChild(style);
+    }
+
+    function queryAllDeep(selector) {
+        const found = [...document.querySelectorAll(selector)];
+        currentFrameDocs.forEach(fdoc => { try { found.push(...fdoc.querySelectorAll(selector)); } catch (e) {} });
+        currentShadowRoots.forEach(sr => found.push(...sr.querySelectorAll(selector)));
+        return found;
+    }
+
+    // querySelectorAll that also considers root itself; incremental passes run on the very element
+    // that was inserted, which may be the <p> (or [title] element) we're looking for.
+    function queryAllInclusive(root, selector) {
+        const found = root.nodeType === Node.ELEMENT_NODE && root.matches(selector) ? [root] : [];
+        return found.concat([...root.querySelectorAll(selector)]);
+    }
+
+    // ---------- INCREMENTAL (DIRTY-ROOT) PASSES ----------
+    // Mutations only queue the subtrees they touched; detection and every replacement pass then run
+    // inside just those roots, so an infinite-scroll feed costs per new item rather than per page.
+    // undefined = nothing queued, null = the whole page, a Set = just those roots. Too many roots,
+    // the body itself, or an inserted iframe (which needs wiring up first) fall back to a full pass.
+    const MAX_DIRTY_ROOTS = 150;
+    let dirtyScope;
+    let pendingReplaceScope;
+    let detectTimer = null;
+
+    function mergeScopes(a, b) {
+        if (a === undefined) return b === null ? null : new Set(b);
+        if (a === null || b === null) return null;
+        b.forEach(n => a.add(n));
+        return a;
+    }
+    function queueDirty(nodes) { dirtyScope = mergeScopes(dirtyScope, nodes); }
+
+    // The queued scope as a minimal list of connected roots (none inside another), or null.
+    function takeDirtyScope() {
+        const scope = dirtyScope;
+        dirtyScope = undefined;
+        if (!scope) return null;
+        const roots = [...scope].filter(n => n.isConnected);
+        if (roots.length > MAX_DIRTY_ROOTS) return null;
+        if (roots.some(r => r === document.body || r === document.documentElement || (r.nodeType === Node.ELEMENT_NODE && (r.tagName === 'IFRAME' || r.querySelector('iframe'))))) return null;
+        return roots.filter(r => !roots.some(o => o !== r && o.contains(r)));
+    }
+
+    // ---------- SAME-ORIGIN IFRAMES ----------
+    // The frame running the engine also drives every same-origin frame below it: their bodies are
+    // extra replacement roots, so their replacements land in this frame's repDataMap and ruleStats,
+    // and clicks on them open this frame's quick edit. Cross-origin frames can't be reached from
+    // here and keep running their own independent copy of the script, exactly as before, and so
+    // does a same-origin frame whose own copy found no registered driver above it.
+    let currentFrameDocs = [];
+    const wiredFrameDocs = new WeakSet();
+    const wiredFrameElements = new WeakSet();
+
+    function collectFrameDocuments(doc, out = []) {
+        doc.querySelectorAll('iframe, frame').forEach(frameEl => {
+            if (frameEl.closest('#text-replacer-gui, #tr-dialog-wrapper')) return;
+            // Frames start out as about:blank and load their real document later, which the
+            // parent's own MutationObserver never sees.
+            if (!wiredFrameElements.has(frameEl)) {
+                wiredFrameElements.add(frameEl);
+                frameEl.addEventListener('load', () => scheduleDetection());
+            }
+            let fdoc = null;
+            try { fdoc = frameEl.contentDocument; } catch (e) { fdoc = null; } // cross-origin
+            if (!fdoc || !fdoc.body) return;
+            // A frame that started before this copy registered runs its own engine.
+            if (fdoc.documentElement.hasAttribute(FRAME_DRIVER_ATTR)) return;
+            out.push(fdoc);
+            collectFrameDocuments(fdoc, out);
+        });
+        return out;
+    }
+
+    function refreshFrameDocuments() {
+        currentFrameDocs = collectFrameDocuments(document);
+        for (const fdoc of currentFrameDocs) {
+            if (wiredFrameDocs.has(fdoc)) continue;
+            wiredFrameDocs.add(fdoc);
+            const style = fdoc.createElement('style');
+            style.id = 'tr-styles';
+            style.textContent = `:root { --md-sys-color-primary: ${siteThemeColor}; }${HIGHLIGHT_CSS}`;
+            (fdoc.head || fdoc.documentElement).appendChild(style);
+            fdoc.addEventListener('click', handleReplacementClick);
+            if (mo) observeRoot(fdoc.body);
+        }
+    }
+
+    // getBoundingClientRect() inside a frame is relative to that frame's viewport; add up the
+    // <iframe> offsets on the way out so the quick edit box lands next to the span on screen.
+    function getTopLevelRect(el) {
+        const r = el.getBoundingClientRect();
+        let left = r.left, top = r.top, bottom = r.bottom;
+        let view = el.ownerDocument.defaultView;
+        while (view && view !== window && view.frameElement) {
+            const fr = view.frameElement.getBoundingClientRect();
+            left += fr.left + view.frameElement.clientLeft;
+            top += fr.top + view.frameElement.clientTop;
+            bottom += fr.top + view.frameElement.clientTop;
+            view = view.parent;
+        }
+        return { left, top, bottom };
+    }
+
+    // ---------- RICH REPLACEMENTS ----------
+    // Replacement text is always inserted as text. Only rules with "Rich Replacement" on may carry
+    // markup, and then just b/i/em/strong/mark and <a> with an http(s) href: the string is parsed
+    // in an inert DOMParser document (nothing loads or runs there) and rebuilt element by element
+    // in the page's document, with no attributes copied except that href. Anything else is
+    // unwrapped to its text; script/style/template contents are dropped. Pages enforcing Trusted
+    // Types refuse DOMParser strings, so there the replacement falls back to plain text.
+    const RICH_ALLOWED_TAGS = ['B', 'I', 'EM', 'STRONG', 'MARK', 'A'];
+    const RICH_DROPPED_TAGS = ['SCRIPT', 'STYLE', 'TEMPLATE'];
+
+    function sanitizeRichReplacement(html, doc) {
+        const out = doc.createDocumentFragment();
+        let parsed;
+        try { parsed = new DOMParser().parseFromString(`<!DOCTYPE html><body>${html}</body>`, 'text/html'); }
+        catch (e) { out.appendChild(doc.createTextNode(html)); return out; }
+        const copyChildren = (src, dest) => {
+            for (const n of src.childNodes) {
+                if (n.nodeType === Node.TEXT_NODE) { dest.appendChild(doc.createTextNode(n.data)); continue; }
+                if (n.nodeType !== Node.ELEMENT_NODE || RICH_DROPPED_TAGS.includes(n.tagName)) continue;
+                const href = n.tagName === 'A' ? (n.getAttribute('href') || '').trim() : '';
+                if (!RICH_ALLOWED_TAGS.includes(n.tagName) || (n.tagName === 'A' && !/^https?:\/\//i.test(href))) { copyChildren(n, dest); continue; }
+                const el = doc.createElement(n.tagName.toLowerCase());
+                if (href) { el.setAttribute('href', href); el.setAttribute('rel', 'noopener noreferrer nofollow'); }
+                copyChildren(n, el);
+                dest.appendChild(el);
+            }
+        };
+        copyChildren(parsed.body, out);
+        return out;
+    }
+
+    // Attribute values and the tab title can't hold markup; they get the sanitised text only.
+    function richReplacementToText(html) {
+        return sanitizeRichReplacement(html, document).textContent;
+    }
+
+    // ---------- REPLACEMENT RECORDS & EXACT REVERT ----------
+    // A span's repDataMap entry keeps the original nodes it stands in for (`nodes`), not just their
+    // text: the text passes keep the text node piece they split off, the block and cross-element
+    // passes keep what Range.extractContents() took out. Reverting puts those very nodes back (nothing
+    // is ever parsed as HTML), folds the copies extractContents made of partly covered elements back
+    // into the originals, and re-joins text nodes that were only split to carve out the match.
+    // splitOrigins maps each text piece we split off to the node it came from.
+    const splitOrigins = new WeakMap();
+
+    function createReplacementSpan(doc, rep, className, rich = false) {
+        const span = doc.createElement('span');
+        span.className = className;
+        span.dataset.trId = 'tr' + (++trIdCounter);
+        if (rich) span.appendChild(sanitizeRichReplacement(rep, doc));
+        else span.textContent = rep;
+        return span;
+    }
+
+    // Splits textNode so that [start, end) is a node of its own, and returns that node.
+    function carveTextRange(textNode, start, end) {
+        let piece = textNode;
+        if (start > 0) { piece = textNode.splitText(start); splitOrigins.set(piece, textNode); }
+        if (end - start < piece.nodeValue.length) splitOrigins.set(piece.splitText(end - start), piece);
+        return piece;
+    }
+
+    function replaceTextSlice(textNode, start, end, rep, ruleId, rich = false, className = enableHighlight ? 'tr-replaced' : 'tr-replaced-hidden') {
+        const piece = carveTextRange(textNode, start, end);
+        const span = createReplacementSpan(textNode.ownerDocument, rep, className, rich);
+        piece.parentNode.replaceChild(span, piece);
+        repDataMap.set(span.dataset.trId, { orig: piece.nodeValue, ruleId, nodes: piece });
+        return span;
+    }
+
+    // Keeps the variant a span's text was picked from (see REPLACEMENT VARIANTS) for quick edit.
+    function recordVariant(span, variant) {
+        const data = variant && span ? repDataMap.get(span.dataset.trId) : null;
+        if (data) data.variant = variant;
+    }
+
+    // Element ancestors of node strictly below `top`, outermost first.
+    function elementChainBelow(node, top) {
+        const chain = [];
+        for (let n = node.nodeType === Node.ELEMENT_NODE ? node : node.parentNode; n && n !== top; n = n.parentNode) chain.unshift(n);
+        return chain;
+    }
+
+    // Swaps a range spanning several nodes for a replacement span; a range inside one text node
+    // is just a text slice.
+    function replaceRangeContents(range, rep, ruleId, rich = false) {
+        const { startContainer, endContainer, startOffset, endOffset, commonAncestorContainer } = range;
+        if (startContainer === endContainer && startContainer.nodeType === Node.TEXT_NODE) {
+            return replaceTextSlice(startContainer, startOffset, endOffset, rep, ruleId, rich);
+        }
+        const startChain = elementChainBelow(startContainer, commonAncestorContainer);
+        const endChain = elementChainBelow(endContainer, commonAncestorContainer);
+        const nodes = range.extractContents();
+        // extractContents copies the covered part of a partly covered text node into a new node;
+        // remember where those came from so revert can join them back.
+        if (startContainer.nodeType === Node.TEXT_NODE) {
+            let edge = nodes.firstChild;
+            for (let i = 0; i < startChain.length && edge; i++) edge = edge.firstChild;
+            if (edge && edge.nodeType === Node.TEXT_NODE) splitOrigins.set(edge, startContainer);
+        }
+        if (endContainer.nodeType === Node.TEXT_NODE) {
+            let edge = nodes.lastChild;
+            for (let i = 0; i < endChain.length && edge; i++) edge = edge.lastChild;
+            if (edge && edge.nodeType === Node.TEXT_NODE) splitOrigins.set(edge, endContainer);
+        }
+        const span = createReplacementSpan(commonAncestorContainer.ownerDocument || document, rep, enableHighlight ? 'tr-replaced' : 'tr-replaced-hidden', rich);
+        range.insertNode(span);
+        repDataMap.set(span.dataset.trId, { orig: nodes.textContent, ruleId, nodes, startChain, endChain });
+        return span;
+    }
+
+    // clone is extractContents' copy of chain[depth]: the part after the range start (fromStart)
+    // or before the range end. Its children go back into the original, innermost level last.
+    function foldCloneIntoOriginal(clone, chain, depth, fromStart) {
+        const original = chain[depth];
+        if (!original || !original.isConnected || !clone || clone.nodeType !== Node.ELEMENT_NODE || clone.tagName !== original.tagName) return;
+        const innerClone = depth + 1 < chain.length ? (fromStart ? clone.firstChild : clone.lastChild) : null;
+        const moving = [...clone.childNodes].filter(n => n !== innerClone);
+        if (fromStart) original.append(...moving); else original.prepend(...moving);
+        if (innerClone) foldCloneIntoOriginal(innerClone, chain, depth + 1, fromStart);
+        clone.remove();
+    }
+
+    function rejoinSplitText(parents) {
+        let changed = true;
+        while (changed) {
+            changed = false;
+            for (const parent of parents) {
+                for (const n of [...parent.childNodes]) {
+                    if (n.nodeType !== Node.TEXT_NODE || !n.parentNode) continue;
+                    let origin = splitOrigins.get(n);
+                    // The node it was split from may itself have been merged back already.
+                    while (origin && !origin.isConnected) origin = splitOrigins.get(origin);
+                    if (!origin) continue;
+                    if (n.previousSibling === origin) { origin.appendData(n.data); n.remove(); changed = true; }
+                    else if (n.nextSibling === origin) { origin.insertData(0, n.data); n.remove(); changed = true; }
+                }
+            }
+        }
+    }
+
+    function restoreReplacement(span, data) {
+        const parent = span.parentNode;
+        if (!parent) return;
+        const content = data.nodes || span.ownerDocument.createTextNode(data.orig);
+        const isFragment = content.nodeType === Node.DOCUMENT_FRAGMENT_NODE;
+        const first = isFragment ? content.firstChild : content;
+        const last = isFragment ? content.lastChild : content;
+        parent.replaceChild(content, span);
+        const startChain = data.startChain || [], endChain = data.endChain || [];
+        if (startChain.length) foldCloneIntoOriginal(first, startChain, 0, true);
+        if (endChain.length && last !== first) foldCloneIntoOriginal(last, endChain, 0, false);
+        rejoinSplitText(new Set([parent, ...startChain, ...endChain]));
     }
 
     // ---------- SAFE CROSS-ELEMENT REPLACEMENT (Range API) ----------
@@ -275,15 +1394,24 @@
         return { text, map };
     }
 
-    function findCrossElementMatchesSafe(rule, container) {
+    // claims collects the spans matched by earlier (higher-priority) rules on this same snapshot of
+    // the container, including matches inside a single node that are left for the later passes;
+    // a match overlapping any of them is dropped so the priority order holds here too.
+    function findCrossElementMatchesSafe(rule, container, claims = null) {
         const nodes = collectContiguousTextNodes(container);
         if (nodes.length < 2) return [];
         const { text, map } = buildTextMap(nodes);
+        // Replacement spans are left out of the text, so a match could otherwise join across one
+        // and swallow it, the same hole BLOCK_STOP closes in the block pass.
+        const spans = Array.from(container.querySelectorAll('.tr-replaced, .tr-replaced-hidden'));
+        const spansBetween = (a, b) => spans.some(sp =>
+            (a.compareDocumentPosition(sp) & Node.DOCUMENT_POSITION_FOLLOWING) && (b.compareDocumentPosition(sp) & Node.DOCUMENT_POSITION_PRECEDING));
         const rx = compileRuleRegex(rule, false);
         const matches = [];
         let match;
         rx.lastIndex = 0;
         while ((match = rx.exec(text)) !== null) {
+            if (match[0].length === 0) { rx.lastIndex++; continue; }
             const mStart = match.index;
             const mEnd = match.index + match[0].length;
             let firstIdx = -1, lastIdx = -1;
@@ -293,13 +1421,22 @@
                     lastIdx = i;
                 }
             }
+            if (lastIdx > firstIdx && spans.length && spansBetween(map[firstIdx].node, map[lastIdx].node)) {
+                rx.lastIndex = mStart + 1;
+                continue;
+            }
+            if (claims) {
+                if (claims.some(c => c.start < mEnd && c.end > mStart)) continue;
+                claims.push({ start: mStart, end: mEnd });
+            }
             if (firstIdx !== -1 && lastIdx !== -1 && lastIdx > firstIdx) {
                 matches.push({
                     rule,
                     startOffset: mStart,
                     endOffset: mEnd,
                     fullMatch: match[0],
-                    capturedGap: match[2] || match[3] || '',
+                    capturedGap: rule.isRegex ? '' : (match[2] || match[3] || ''),
+                    match,
                     firstNodeIdx: firstIdx,
                     lastNodeIdx: lastIdx,
                     map: map.slice()
@@ -309,13 +1446,14 @@
         return matches;
     }
 
-    function applyCrossMatches(matches) {
+    function applyCrossMatches(matches, rulesList) {
         matches.sort((a, b) => b.startOffset - a.startOffset);
         const nowTs = now();
         for (const m of matches) {
             try {
                 const { rule, fullMatch, capturedGap, firstNodeIdx, lastNodeIdx, map } = m;
-                const replacement = processReplacement(rule, fullMatch, capturedGap);
+                const pick = {};
+                const replacement = processReplacement(rule, fullMatch, capturedGap, m.match, rulesList, pick);
                 const nodes = map.map(item => item.node);
                 const startNode = nodes[firstNodeIdx];
                 const endNode = nodes[lastNodeIdx];
@@ -324,18 +1462,10 @@
                 const startOffset = m.startOffset - map[firstNodeIdx].start;
                 const endOffset = m.endOffset - map[lastNodeIdx].start;
 
-                const range = document.createRange();
+                const range = startNode.ownerDocument.createRange();
                 range.setStart(startNode, startOffset);
                 range.setEnd(endNode, endOffset);
-                range.deleteContents();
-
-                const wrapper = document.createElement('span');
-                const trId = 'tr' + (++trIdCounter);
-                repDataMap.set(trId, { orig: fullMatch, ruleId: rule.id });
-                wrapper.className = enableHighlight ? 'tr-replaced' : 'tr-replaced-hidden';
-                wrapper.dataset.trId = trId;
-                wrapper.textContent = replacement;
-                range.insertNode(wrapper);
+                recordVariant(replaceRangeContents(range, replacement, rule.id, !!rule.richText), pick.variant);
 
                 const s = ruleStats.get(rule.id) || { lastUsed: 0, matchCount: 0 };
                 s.lastUsed = nowTs; s.matchCount++;
@@ -347,8 +1477,110 @@
         }
     }
 
-    function processCrossElementReplacements(rulesList) {
-        const containers = document.querySelectorAll('p, div, span, li, td, th, h1, h2, h3, h4, h5, h6');
+    // ---------- BLOCK PASS (DOM-BASED) ----------
+    // Pass 1 works on a block's text nodes directly instead of round-tripping innerHTML, so event
+    // listeners, framework bindings, selection and loading images inside the block survive. The
+    // block's text is joined with BLOCK_BREAK wherever an element boundary separates two text nodes:
+    // the block-mode rule regex accepts it between words (like whitespace) but never inside one, so
+    // "big <b>bird</b>" matches "big bird" while "ca<b>t</b>" still doesn't match "cat". Existing
+    // replacement spans are opaque, exactly like in Pass 2, and leave BLOCK_STOP behind instead,
+    // which nothing matches (not even a "---" gap): a match joined across one would swallow the
+    // other rule's span, and reverting either rule could then no longer restore the original.
+    const BLOCK_BREAK = '\uFDD0';
+    const BLOCK_STOP = '\uFDD1';
+
+    function buildBlockText(block) {
+        let text = '';
+        const map = [];
+        let prev = null;
+        let stopped = false;
+        // Elements are visited too (and skipped, not rejected, unless they are replacements) so
+        // that even an empty replacement span still separates the text around it.
+        const walker = block.ownerDocument.createTreeWalker(block, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT, {
+            acceptNode(node) {
+                if (node.nodeType === Node.ELEMENT_NODE) {
+                    if (!node.matches('.tr-replaced, .tr-replaced-hidden')) return NodeFilter.FILTER_SKIP;
+                    stopped = true;
+                    return NodeFilter.FILTER_REJECT;
+                }
+                const p = node.parentElement;
+                if (p && p.closest('.tr-replaced, .tr-replaced-hidden')) return NodeFilter.FILTER_REJECT;
+                return NodeFilter.FILTER_ACCEPT;
+            }
+        }, false);
+        let node;
+        while ((node = walker.nextNode())) {
+            if (prev && stopped) text += BLOCK_STOP;
+            else if (prev && node.previousSibling !== prev) text += BLOCK_BREAK;
+            stopped = false;
+            map.push({ node, start: text.length, end: text.length + node.nodeValue.length });
+            text += node.nodeValue;
+            prev = node;
+        }
+        return { text, map };
+    }
+
+    // Text-node position for a block-text offset. A match can't begin or end on a BLOCK_BREAK, so
+    // an offset sitting on a node boundary goes to the node after it (start) or before it (end).
+    function blockTextPosition(map, offset, isEnd) {
+        for (const seg of map) {
+            if (isEnd ? (offset > seg.start && offset <= seg.end) : (offset >= seg.start && offset < seg.end)) {
+                return { node: seg.node, offset: offset - seg.start };
+            }
+        }
+        return null;
+    }
+
+    // Applies every rule (already in priority order) to one block; true if anything was replaced.
+    function replaceInBlock(block, rulesList, nowTs) {
+        let modified = false;
+        const breakRx = new RegExp(`[${BLOCK_BREAK}${BLOCK_STOP}]`, 'g');
+        for (const rule of rulesList) {
+            try {
+                const { text, map } = buildBlockText(block);
+                const rx = compileRuleRegex(rule, true);
+                // Same cached-regex/lastIndex hazard as elsewhere: this rx is reused across
+                // every block, so it must be reset before each scan.
+                rx.lastIndex = 0;
+                const found = [];
+                let m;
+                while ((m = rx.exec(text)) !== null) {
+                    if (!m[0]) { rx.lastIndex++; continue; }
+                    // Literal rules only ever cross elements via the whitespace-or-break joiner
+                    // above; a user regex has no such guarantee, so never let it span markup.
+                    if (rule.isRegex && (m[0].includes(BLOCK_BREAK) || m[0].includes(BLOCK_STOP))) continue;
+                    found.push(m);
+                }
+                if (!found.length) continue;
+                const plainInput = text.replace(breakRx, ' ');
+                // Back to front, so earlier offsets stay valid while later matches are spliced.
+                for (const match of found.reverse()) {
+                    const start = blockTextPosition(map, match.index, false);
+                    const end = blockTextPosition(map, match.index + match[0].length, true);
+                    if (!start || !end) continue;
+                    const matchedStr = match[0].replace(breakRx, '');
+                    const gapMatch = rule.isRegex ? '' : (match.slice(2).find(x => x !== undefined && x !== match[0]) || '').replace(breakRx, '');
+                    match.input = plainInput;
+                    const pick = {};
+                    const rep = processReplacement(rule, matchedStr, gapMatch, match, rulesList, pick);
+
+                    const range = block.ownerDocument.createRange();
+                    range.setStart(start.node, start.offset);
+                    range.setEnd(end.node, end.offset);
+                    recordVariant(replaceRangeContents(range, rep, rule.id, !!rule.richText), pick.variant);
+                    modified = true;
+                }
+                const s = ruleStats.get(rule.id) || { lastUsed: 0, matchCount: 0 };
+                s.lastUsed = nowTs; s.matchCount++; ruleStats.set(rule.id, s);
+                scheduleStatsSave();
+            } catch(e) { error('Block replacement error', e); }
+        }
+        return modified;
+    }
+
+    function processCrossElementReplacements(rulesList, roots) {
+        const containers = [];
+        roots.forEach(root => containers.push(...queryAllInclusive(root, 'p, div, span, li, td, th, h1, h2, h3, h4, h5, h6')));
         const processed = new Set();
         for (const container of containers) {
             if (processed.has(container)) continue;
@@ -363,16 +1595,18 @@
             if (skip) continue;
             processed.add(container);
 
+            // Every rule is matched against the same text before anything is spliced, so the
+            // accepted matches never overlap and can be applied back to front in one go.
+            const claims = [];
+            const accepted = [];
             for (const rule of rulesList) {
                 try {
-                    const matches = findCrossElementMatchesSafe(rule, container);
-                    if (matches.length > 0) {
-                        applyCrossMatches(matches);
-                    }
+                    accepted.push(...findCrossElementMatchesSafe(rule, container, claims));
                 } catch (e) {
                     error('Cross-element error for rule', rule.id, e);
                 }
             }
+            if (accepted.length > 0) applyCrossMatches(accepted, rulesList);
         }
     }
 
@@ -383,6 +1617,8 @@
             const raw = GM_getValue(BLOCK_KEY, null);
             earlyBlocked = raw ? (typeof raw === 'string' ? JSON.parse(raw) : raw) : [];
         } catch (e) { error('Failed to read blocklist for early priming', e); }
+        const earlyAllowed = readGM(ALLOW_KEY, []) || [];
+        const earlySiteMode = readGM(SITE_MODE_KEY, 'block');
 
         // enableHighlight itself defaults to true and isn't populated from IndexedDB until the
         // async loadSettings() call inside bootstrap() resolves — which hasn't happened yet this
@@ -396,11 +1632,16 @@
             }
         } catch (e) { earlyEnableHighlight = true; }
 
-        if (!earlyBlocked.includes(HOST) && !isExcludedContext()) {
+        if (!isSiteDisabled(earlyBlocked, earlyAllowed, earlySiteMode) && !isPaused() && !isExcludedContext()) {
             const primedHostData = readGM(ACTIVE_KEY, { hostMap: {} });
+            // hostMap[HOST] was detected on whatever page of this host ran last, so path-scoped
+            // rules still have to be re-checked against this page's own URL, and rules conditioned
+            // on page content wait for the detection pass, which can actually read the page. Group
+            // switches may have been flipped on another site since, so they're re-read here too.
+            const earlyGroupsOff = sanitizeGroupList(readGM(GROUPS_KEY, []));
             const earlyRules = (primedHostData.hostMap ? (primedHostData.hostMap[HOST] || []) : [])
-                .slice()
-                .sort((a, b) => countRuleWords(b) - countRuleWords(a) || (b.oldText || '').length - (a.oldText || '').length);
+                .filter(r => ruleAppliesToPage(r) && !hasContentConditions(r) && isRuleEnabled(r, earlyGroupsOff))
+                .sort(compareRulePriority);
             let earlyMo = null;
             // Hard circuit breaker: replaceChild() below is a childList mutation, and this observer
             // watches childList+subtree, so our own inserted spans are delivered right back into this
@@ -412,47 +1653,62 @@
             const EARLY_PRIMING_MAX_REPLACEMENTS = 500;
             let earlyPrimingReplacementCount = 0;
             if (earlyRules.length > 0) {
-                const earlyRxMap = earlyRules.map(r => ({ r, rx: compileRuleRegex(r, false) }));
-                earlyMo = new MutationObserver(mutations => {
+                // One bad user regex must not take the whole early-priming observer down with it.
+                const earlyRxMap = [];
+                for (const r of earlyRules) {
+                    try { earlyRxMap.push({ r, rx: compileRuleRegex(r, false) }); } catch (e) { error('Early priming skipped invalid rule', r.id, e); }
+                }
+                const earlyObservedRoots = new WeakSet();
+                const handleEarlyNode = node => {
                     if (earlyPrimingReplacementCount >= EARLY_PRIMING_MAX_REPLACEMENTS) return;
-                    for (const m of mutations) {
-                        m.addedNodes.forEach(node => {
-                            if (node.nodeType === Node.TEXT_NODE && node.nodeValue && node.nodeValue.trim()) {
-                                const p = node.parentElement;
-                                // Never re-walk text that's already inside one of our own replacement
-                                // spans — without this, a rule whose own replacement text still
-                                // contains a whole-word match (e.g. "student" -> "student-san") would
-                                // match again inside its own output, replace again, mutate again, and
-                                // loop without end.
-                                if (p && p.closest && p.closest('[data-tr-id]')) return;
-                                if (!isInProtectedArea(p)) {
-                                    processEarlyTextNode(node, earlyRxMap);
-                                }
-                            } else if (node.nodeType === Node.ELEMENT_NODE) {
-                                if (['SCRIPT','STYLE','NOSCRIPT','TEXTAREA','INPUT'].includes(node.tagName)) return;
-                                if (isInProtectedArea(node)) return;
-                                // Same protection as above, but for when the newly-added node IS (or
-                                // contains) one of our own spans rather than being a bare text node.
-                                if (node.matches && node.matches('[data-tr-id]')) return;
-                                if (node.closest && node.closest('[data-tr-id]')) return;
-                                const walker = document.createTreeWalker(node, NodeFilter.SHOW_TEXT, null, false);
-                                // Collect first, then process after the walk finishes — replacing a
-                                // node mid-traversal (which we now do, since we wrap matches in spans
-                                // instead of mutating nodeValue in place) could otherwise disrupt the
-                                // live TreeWalker's position.
-                                const textNodes = [];
-                                let tNode;
-                                while ((tNode = walker.nextNode())) {
-                                    if (tNode.parentElement && ['SCRIPT','STYLE','NOSCRIPT','TEXTAREA','INPUT'].includes(tNode.parentElement.tagName)) continue;
-                                    if (tNode.parentElement && tNode.parentElement.closest && tNode.parentElement.closest('[data-tr-id]')) continue;
-                                    if (!isInProtectedArea(tNode.parentElement)) {
-                                        textNodes.push(tNode);
-                                    }
-                                }
-                                textNodes.forEach(tn => processEarlyTextNode(tn, earlyRxMap));
+                    if (node.nodeType === Node.TEXT_NODE && node.nodeValue && node.nodeValue.trim()) {
+                        const p = node.parentElement;
+                        // Never re-walk text that's already inside one of our own replacement
+                        // spans — without this, a rule whose own replacement text still
+                        // contains a whole-word match (e.g. "student" -> "student-san") would
+                        // match again inside its own output, replace again, mutate again, and
+                        // loop without end.
+                        if (p && p.closest && p.closest('[data-tr-id]')) return;
+                        if (!isInProtectedArea(p)) {
+                            processEarlyTextNode(node, earlyRxMap);
+                        }
+                    } else if (node.nodeType === Node.ELEMENT_NODE) {
+                        if (['SCRIPT','STYLE','NOSCRIPT','TEXTAREA','INPUT'].includes(node.tagName)) return;
+                        if (isInProtectedArea(node)) return;
+                        // Same protection as above, but for when the newly-added node IS (or
+                        // contains) one of our own spans rather than being a bare text node.
+                        if (node.matches && node.matches('[data-tr-id]')) return;
+                        if (node.closest && node.closest('[data-tr-id]')) return;
+                        const walker = document.createTreeWalker(node, NodeFilter.SHOW_TEXT, null, false);
+                        // Collect first, then process after the walk finishes — replacing a
+                        // node mid-traversal (which we now do, since we wrap matches in spans
+                        // instead of mutating nodeValue in place) could otherwise disrupt the
+                        // live TreeWalker's position.
+                        const textNodes = [];
+                        let tNode;
+                        while ((tNode = walker.nextNode())) {
+                            if (tNode.parentElement && ['SCRIPT','STYLE','NOSCRIPT','TEXTAREA','INPUT'].includes(tNode.parentElement.tagName)) continue;
+                            if (tNode.parentElement && tNode.parentElement.closest && tNode.parentElement.closest('[data-tr-id]')) continue;
+                            if (!isInProtectedArea(tNode.parentElement)) {
+                                textNodes.push(tNode);
                             }
+                        }
+                        textNodes.forEach(tn => processEarlyTextNode(tn, earlyRxMap));
+                        // Web components attach their shadow root while being inserted, so it's
+                        // already there by now; its contents never reach this observer otherwise.
+                        collectOpenShadowRoots(node).forEach(sr => {
+                            if (earlyObservedRoots.has(sr)) return;
+                            earlyObservedRoots.add(sr);
+                            earlyMo.observe(sr, { childList: true, subtree: true });
+                            Array.from(sr.childNodes).forEach(handleEarlyNode);
                         });
                     }
+                };
+                earlyMo = new MutationObserver(mutations => {
+                    if (earlyPrimingReplacementCount >= EARLY_PRIMING_MAX_REPLACEMENTS) return;
+                    for (const m of mutations) {
+                        m.addedNodes.forEach(handleEarlyNode);
+                    }
                 });
                 if (document.documentElement) {
                     earlyMo.observe(document.documentElement, { childList: true, subtree: true });
@@ -473,49 +1729,34 @@
                 if (!text) return;
                 const nowTs = now();
                 const candidates = [];
-                for (const { r, rx } of rxMap) {
+                rxMap.forEach(({ r, rx }, rank) => {
                     rx.lastIndex = 0;
                     let match;
                     while ((match = rx.exec(text)) !== null) {
                         if (match[0].length === 0) { rx.lastIndex++; continue; } // defensive: avoid a zero-length-match infinite loop
-                        const gapMatch = match[2] || match[3] || '';
-                        candidates.push({ start: match.index, end: match.index + match[0].length, str: match[0], rule: r, gap: gapMatch });
+                        const gapMatch = r.isRegex ? '' : (match[2] || match[3] || '');
+                        candidates.push({ start: match.index, end: match.index + match[0].length, str: match[0], rule: r, gap: gapMatch, match, rank });
                     }
-                }
+                });
                 if (!candidates.length) return;
-                // More-specific (more-word) rules were sorted first into rxMap, so a stable sort by
-                // start position lets an earlier, higher-priority candidate claim its span first;
-                // anything else overlapping that span is then skipped, same precedence rule the main
-                // passes use for overlapping terms (e.g. "this student" wins over plain "student").
-                candidates.sort((a, b) => a.start - b.start);
-                const kept = [];
-                let lastEnd = -1;
-                for (const c of candidates) {
-                    if (c.start >= lastEnd) { kept.push(c); lastEnd = c.end; }
-                }
-                if (!kept.length) return;
+                // rxMap is in compareRulePriority order, so claimByRank gives overlaps to the same
+                // rule the main passes would (e.g. "this student" wins over plain "student").
+                const kept = claimByRank(candidates);
 
-                const fragment = document.createDocumentFragment();
-                let cursor = 0;
-                for (const c of kept) {
-                    if (c.start > cursor) fragment.appendChild(document.createTextNode(text.substring(cursor, c.start)));
-                    const rep = processReplacement(c.rule, c.str, c.gap);
-                    const trId = 'tr' + (++trIdCounter);
-                    repDataMap.set(trId, { orig: c.str, ruleId: c.rule.id });
-                    const span = document.createElement('span');
-                    span.className = earlyEnableHighlight ? 'tr-replaced' : 'tr-replaced-hidden';
-                    span.textContent = rep;
-                    span.dataset.trId = trId;
-                    fragment.appendChild(span);
-                    cursor = c.end;
+                if (!tNode.parentNode) return;
+                const parent = tNode.parentNode;
+                // Back to front, so tNode keeps the text before each remaining match.
+                for (const c of kept.reverse()) {
+                    const pick = {};
+                    const rep = processReplacement(c.rule, c.str, c.gap, c.match, rxMap.map(e => e.r), pick);
+                    recordVariant(replaceTextSlice(tNode, c.start, c.end, rep, c.rule.id, !!c.rule.richText, earlyEnableHighlight ? 'tr-replaced' : 'tr-replaced-hidden'), pick.variant);
 
                     const s = ruleStats.get(c.rule.id) || { lastUsed: 0, matchCount: 0 };
                     s.lastUsed = nowTs; s.matchCount++; ruleStats.set(c.rule.id, s);
                     scheduleStatsSave();
                 }
-                if (cursor < text.length) fragment.appendChild(document.createTextNode(text.substring(cursor)));
                 earlyPrimingReplacementCount += kept.length;
-                if (tNode.parentNode) tNode.parentNode.replaceChild(fragment, tNode);
+                ensureShadowStyles(parent.getRootNode ? parent.getRootNode() : null);
                 if (earlyPrimingReplacementCount >= EARLY_PRIMING_MAX_REPLACEMENTS && earlyMo) {
                     error('Early priming replacement cap reached; disabling early priming for the rest of this page load as a safety measure.');
                     earlyMo.disconnect();
@@ -672,6 +1913,18 @@
             blockedDomains = Array.isArray(idbBlocked) ? idbBlocked : [];
             writeGM(BLOCK_KEY, blockedDomains); // keep GM mirror fresh for the document-start early-priming fast path
 
+            let idbAllowed = await dbGetSetting('allowedDomains', null);
+            if (idbAllowed === null) {
+                idbAllowed = readGM(ALLOW_KEY, []) || [];
+                if (idbAllowed.length) await dbSetSetting('allowedDomains', idbAllowed);
+            }
+            allowedDomains = Array.isArray(idbAllowed) ? idbAllowed : [];
+            writeGM(ALLOW_KEY, allowedDomains);
+            let idbSiteMode = await dbGetSetting('siteListMode', null);
+            if (idbSiteMode === null) idbSiteMode = readGM(SITE_MODE_KEY, 'block');
+            siteListMode = idbSiteMode === 'allow' ? 'allow' : 'block';
+            writeGM(SITE_MODE_KEY, siteListMode);
+
             let idbProtected = await dbGetSetting('protectedSelectors', null);
             if (idbProtected === null) {
                 idbProtected = readGM(PROTECTED_KEY, null) || DEFAULT_PROTECTED_SELECTORS;
@@ -687,6 +1940,19 @@
             }
             enableHighlight = idbHighlight !== false;
 
+            enableAttributeReplacement = (await dbGetSetting('enableAttributeReplacement', false)) === true;
+            const idbAttributes = await dbGetSetting('replaceAttributes', null);
+            replaceAttributes = Array.isArray(idbAttributes) ? sanitizeAttributeList(idbAttributes) : DEFAULT_REPLACE_ATTRIBUTES.slice();
+            enableTitleReplacement = (await dbGetSetting('enableTitleReplacement', false)) === true;
+
+            let idbInflection = await dbGetSetting('inflectionOverrides', null);
+            if (idbInflection === null) {
+                idbInflection = inflectionOverrides;
+                if (idbInflection.length) await dbSetSetting('inflectionOverrides', idbInflection);
+            }
+            setInflectionOverrides(Array.isArray(idbInflection) ? idbInflection : []);
+            writeGM(INFLECTION_KEY, inflectionOverrides); // early-priming mirror, same as the blocklist
+
             extractThemeColor();
         } catch (e) { error('loadSettings failed', e); }
     }
@@ -695,11 +1961,38 @@
         writeGM(BLOCK_KEY, blockedDomains);
         await dbSetSetting('blockedDomains', blockedDomains);
     }
+    async function saveAllowed() {
+        writeGM(ALLOW_KEY, allowedDomains);
+        writeGM(SITE_MODE_KEY, siteListMode);
+        await dbSetSetting('allowedDomains', allowedDomains);
+        await dbSetSetting('siteListMode', siteListMode);
+    }
     async function saveProtectedSelectors() {
         writeGM(PROTECTED_KEY, protectedSelectors);
         updateProtectedSelectorString();
         await dbSetSetting('protectedSelectors', protectedSelectors);
     }
+    async function saveAttributeSettings() {
+        await dbSetSetting('enableAttributeReplacement', enableAttributeReplacement);
+        await dbSetSetting('replaceAttributes', replaceAttributes);
+        getReplacementRoots().forEach(observeRoot); // picks up the new attributeFilter
+    }
+    function setInflectionOverrides(list) {
+        inflectionOverrides = list;
+        inflectionOverrideMap = buildInflectionOverrideMap(list);
+        inflectionCache.clear();
+        wordCountCache.clear(); // an override can change how many words a form spans
+        regexCache.clear(); // compiled inflection rules embed the old forms
+        literalAutomatonCache.clear();
+    }
+    async function saveInflectionOverrides() {
+        setInflectionOverrides(inflectionOverrides);
+        writeGM(INFLECTION_KEY, inflectionOverrides);
+        await dbSetSetting('inflectionOverrides', inflectionOverrides);
+    }
+    function saveTitleSetting() {
+        dbSetSetting('enableTitleReplacement', enableTitleReplacement);
+    }
     function saveHighlightSetting() {
         writeGM(HIGHLIGHT_KEY, enableHighlight);
         dbSetSetting('enableHighlight', enableHighlight);
@@ -738,14 +2031,24 @@
         try {
             const incoming = payload.rules; const current = await dbGetAll();
             const byId = new Map(current.map(r => [r.id, r])); const bySig = new Map(current.map(r => [signatureOf(r), r]));
+            // Terms switched off elsewhere have to come off this page too, not just out of the list.
+            const switchedOff = []; let switchedOn = false, added = false;
+            const takeNewer = async (local, cand) => {
+                if ((cand.updatedAt || 0) <= (local.updatedAt || 0)) return;
+                if (local.enabled !== false && cand.enabled === false) switchedOff.push(local.id);
+                if (local.enabled === false && cand.enabled !== false) switchedOn = true;
+                await dbPut({ ...local, ...cand, id: local.id });
+            };
             for (const r of incoming) {
                 if (!r || !r.oldText) continue;
-                const cand = { id: r.id || uuid(), oldText: r.oldText, newText: r.newText || '', caseSensitive: !!r.caseSensitive, forceGlobal: !!r.forceGlobal, smartPriority: !!r.smartPriority, enabled: r.enabled !== false, deleted: !!r.deleted, createdAt: r.createdAt || now(), updatedAt: r.updatedAt || now(), site: r.site || null };
-                if (byId.has(cand.id)) { const local = byId.get(cand.id); if ((cand.updatedAt || 0) > (local.updatedAt || 0)) await dbPut({ ...local, ...cand, id: local.id }); }
-                else { const sig = signatureOf(cand); if (bySig.has(sig)) { const local = bySig.get(sig); if ((cand.updatedAt || 0) > (local.updatedAt || 0)) await dbPut({ ...local, ...cand, id: local.id }); } else await dbPut(cand); }
+                const cand = normalizeRuleRecord(r);
+                if (byId.has(cand.id)) await takeNewer(byId.get(cand.id), cand);
+                else { const sig = signatureOf(cand); if (bySig.has(sig)) await takeNewer(bySig.get(sig), cand); else { await dbPut(cand); added = true; } }
             }
             if (payload.ts) lastMasterPayloadTs = Math.max(lastMasterPayloadTs, payload.ts);
-            localRules = await getActiveRules(); updateGuiIfNeeded(); scheduleReplace();
+            localRules = await getActiveRules(); updateGuiIfNeeded();
+            if (switchedOff.length || switchedOn || added) revertForRuleChange(switchedOff, switchedOn || added);
+            if (switchedOff.length || switchedOn || added) await runDetectionAndApplyInternal(); else scheduleReplace();
         } finally { applyingRemoteMaster = false; }
     }
 
@@ -757,191 +2060,637 @@
         if (remoteMergeTimer) clearTimeout(remoteMergeTimer);
         remoteMergeTimer = setTimeout(() => { remoteMergeTimer = null; mergeMasterPayload(payload); }, 300);
     }
-    try {
-        if (typeof GM_addValueChangeListener === 'function') {
-            GM_addValueChangeListener(MASTER_KEY, (name, oldValue, newValue, remote) => {
-                if (!remote) return; // this tab's own writes also fire this listener; ignore those
-                try {
-                    const payload = typeof newValue === 'string' ? JSON.parse(newValue) : newValue;
-                    if (!payload || !Array.isArray(payload.rules)) return;
-                    if (payload.ts && payload.ts <= lastMasterPayloadTs) return; // already have this version
-                    scheduleRemoteMasterMerge(payload);
-                } catch (e) { error('Failed to parse remote master payload', e); }
-            });
+    try {
+        if (typeof GM_addValueChangeListener === 'function') {
+            GM_addValueChangeListener(MASTER_KEY, (name, oldValue, newValue, remote) => {
+                if (!remote) return; // this tab's own writes also fire this listener; ignore those
+                try {
+                    const payload = typeof newValue === 'string' ? JSON.parse(newValue) : newValue;
+                    if (!payload || !Array.isArray(payload.rules)) return;
+                    if (payload.ts && payload.ts <= lastMasterPayloadTs) return; // already have this version
+                    scheduleRemoteMasterMerge(payload);
+                } catch (e) { error('Failed to parse remote master payload', e); }
+            });
+        }
+    } catch (e) { error('GM_addValueChangeListener registration failed', e); }
+
+    // ---------- RULE GROUPS ----------
+    // A rule may sit in any number of named groups (rule.groups). Group switches live in GM storage
+    // rather than per-site IndexedDB because turning "spoilers" off has to mean off on every site;
+    // a rule is enabled only while its own flag is set and none of its groups is switched off.
+    let disabledGroups = sanitizeGroupList(readGM(GROUPS_KEY, []));
+    function sanitizeGroupList(list) {
+        return Array.isArray(list) ? [...new Set(list.map(g => String(g).trim()).filter(Boolean))] : [];
+    }
+    function isRuleEnabled(rule, groupsOff = disabledGroups) {
+        return rule.enabled !== false && !(rule.groups || []).some(g => groupsOff.includes(g));
+    }
+    function listRuleGroups(rules) {
+        return [...new Set(rules.flatMap(r => r.groups || []))].sort((a, b) => a.localeCompare(b));
+    }
+    // Reverts whatever the switch just turned off (or the whole page when it turned terms on, which
+    // may outrank spans already there), then lets detection pick up whatever it turned on.
+    async function applyGroupStateChange(prevDisabled) {
+        const turnedOff = localRules.filter(r => isRuleEnabled(r, prevDisabled) && !isRuleEnabled(r)).map(r => r.id);
+        const turnedOn = localRules.some(r => !isRuleEnabled(r, prevDisabled) && isRuleEnabled(r));
+        if (turnedOff.length || turnedOn) revertForRuleChange(turnedOff, turnedOn);
+        await runDetectionAndApplyInternal();
+        updateGuiIfNeeded();
+    }
+    async function setGroupEnabled(name, enabled) {
+        const prevDisabled = disabledGroups;
+        disabledGroups = enabled ? disabledGroups.filter(g => g !== name) : sanitizeGroupList([...disabledGroups, name]);
+        writeGM(GROUPS_KEY, disabledGroups);
+        await applyGroupStateChange(prevDisabled);
+    }
+    try {
+        if (typeof GM_addValueChangeListener === 'function') {
+            GM_addValueChangeListener(GROUPS_KEY, (name, oldValue, newValue, remote) => {
+                if (!remote) return;
+                try {
+                    const prevDisabled = disabledGroups;
+                    disabledGroups = sanitizeGroupList(typeof newValue === 'string' ? JSON.parse(newValue) : newValue);
+                    applyGroupStateChange(prevDisabled).catch(e => error('Failed to apply remote group switches', e));
+                } catch (e) { error('Failed to parse remote group switches', e); }
+            });
+        }
+    } catch (e) { error('GM_addValueChangeListener registration failed for groups', e); }
+
+    function updateActiveHostInGM(detectedArray) {
+        const payload = readGM(ACTIVE_KEY, { ts: 0, hostMap: {} }); payload.hostMap = payload.hostMap || {};
+        if (!detectedArray || detectedArray.length === 0) { if (payload.hostMap[HOST]) delete payload.hostMap[HOST]; }
+        else {
+            payload.hostMap[HOST] = detectedArray.map(r => ({
+                id: r.id, oldText: r.oldText, newText: r.newText,
+                caseSensitive: !!r.caseSensitive, forceGlobal: !!r.forceGlobal, smartPriority: !!r.smartPriority,
+                isRegex: !!r.isRegex, regexFlags: r.regexFlags || '', preserveCase: !!r.preserveCase, ignoreAccents: !!r.ignoreAccents, inflect: !!r.inflect, richText: !!r.richText, chainable: !!r.chainable, variantMode: r.variantMode || 'random',
+                includeSites: r.includeSites || [], excludeSites: r.excludeSites || [], groups: r.groups || [], priority: Number(r.priority) || 0,
+                requireWords: r.requireWords || [], forbidWords: r.forbidWords || [], pathPatterns: r.pathPatterns || [], requireSelector: r.requireSelector || ''
+            }));
+        }
+        payload.ts = now(); writeGM(ACTIVE_KEY, payload);
+    }
+
+    function revertAllReplacements() { revertReplacements(null); }
+
+    // Undoes only the given rules' spans, attribute values and title (e.g. after editing one term),
+    // leaving every other replacement on the page alone.
+    function revertRuleReplacements(ruleIds) { revertReplacements(new Set(ruleIds)); }
+
+    // Spans are opaque to every pass, so a term that starts applying (added, switched on) or now
+    // matches differently can't take over text a lower-ranked term has already replaced; that
+    // needs everything undone and re-applied. Terms that stop applying or only change their
+    // output just need their own replacements undone.
+    function revertForRuleChange(ruleIds, mayOutrankOthers) {
+        if (mayOutrankOthers) revertAllReplacements();
+        else revertRuleReplacements(ruleIds);
+    }
+
+    function revertReplacements(ruleIds) {
+        replacementGeneration++;
+        // Output of a chainable rule may have passed through any other rule, so it goes too.
+        const chained = new Set(localRules.filter(r => r.chainable).map(r => r.id));
+        const affects = ids => !ruleIds || (ids || []).some(id => ruleIds.has(id) || chained.has(id));
+        try {
+            queryAllDeep('.tr-replaced, .tr-replaced-hidden').forEach(el => {
+                const data = repDataMap.get(el.dataset.trId);
+                if (!data || !affects([data.ruleId])) return;
+                // Let the block/text passes look at this text again; other spans in it stay opaque.
+                const block = ruleIds && el.parentElement ? el.parentElement.closest('[data-tr-processed]') : null;
+                if (block) delete block.dataset.trProcessed;
+                restoreReplacement(el, data);
+                repDataMap.delete(el.dataset.trId);
+            });
+            if (!ruleIds) repDataMap.clear();
+            queryAllDeep('[data-tr-attrs]').forEach(el => {
+                const state = attrState.get(el) || {};
+                for (const [attr, rec] of Object.entries(state)) {
+                    if (!affects(rec.ruleIds)) continue;
+                    // Only put the original back if the page hasn't since replaced our value itself.
+                    if (el.getAttribute(attr) === rec.applied) el.setAttribute(attr, rec.orig);
+                    delete state[attr];
+                }
+                if (Object.keys(state).length) {
+                    el.setAttribute('data-tr-attrs', Object.keys(state).join(' '));
+                } else {
+                    attrState.delete(el);
+                    el.removeAttribute('data-tr-attrs');
+                }
+            });
+            if (!ruleIds) {
+                queryAllDeep('[data-tr-processed]').forEach(el => {
+                    delete el.dataset.trProcessed;
+                });
+            }
+            if (titleApplied !== null && affects(titleRuleIds)) {
+                if (document.title === titleApplied) document.title = titleOriginal;
+                titleOriginal = null; titleApplied = null; titleRuleIds = [];
+            }
+        } catch (e) { error('revertReplacements failed', e); }
+    }
+
+    // textContent avoids the forced synchronous layout/reflow that innerText triggers, which matters
+    // here since this runs on every debounced mutation pass. Shadow-root text isn't part of
+    // body.textContent, so it's appended separately.
+    function collectPageText() {
+        return [
+            document.body ? (document.body.textContent || '') : '',
+            ...currentFrameDocs.map(fdoc => (fdoc.body && fdoc.body.textContent) || ''),
+            ...currentShadowRoots.map(sr => sr.textContent || ''),
+            ...(enableAttributeReplacement ? collectAttributeTargets(getReplacementRoots()).map(({ el, attr }) => el.getAttribute(attr)) : []),
+            enableTitleReplacement ? document.title : ''
+        ].join('\n');
+    }
+
+    // scopeRoots (from the mutation observer) limits both detection and replacement to those
+    // subtrees; rules already active stay active, since the rest of the page wasn't re-read.
+    async function runDetectionAndApplyInternal(scopeRoots = null) {
+        if (isSiteDisabled() || isPaused()) return;
+        localRules = await getActiveRules();
+        let bodyText;
+        if (scopeRoots) {
+            scopeRoots = scopeRoots.concat(refreshShadowRoots(scopeRoots));
+            bodyText = [
+                ...scopeRoots.map(root => root.textContent || ''),
+                ...(enableAttributeReplacement ? collectAttributeTargets(scopeRoots).map(({ el, attr }) => el.getAttribute(attr)) : [])
+            ].join('\n');
+        } else {
+            refreshFrameDocuments();
+            refreshShadowRoots();
+            bodyText = collectPageText();
+        }
+        // Page conditions look at the whole page even on an incremental pass, since a required
+        // word may sit outside the subtree that just changed; rules already active aren't rechecked.
+        let pageText = scopeRoots ? null : bodyText;
+        const getPageText = () => (pageText === null ? (pageText = collectPageText()) : pageText);
+        const newActive = scopeRoots ? { ...activeRules } : {};
+        const detected = Object.values(newActive);
+        // Site scope and page conditions are checked before forceGlobal: "global" means "skip text
+        // detection", not "ignore the sites and pages this rule was restricted to".
+        const candidates = localRules.filter(r => isRuleEnabled(r) && ruleAppliesToPage(r) && !newActive[r.id] && ruleContentConditionsMet(r, getPageText));
+        const hitIds = new Set(await runMatchJob('detect', { rules: candidates.filter(r => !r.forceGlobal), text: bodyText }));
+        for (const r of candidates) {
+            if (r.forceGlobal || hitIds.has(r.id)) { detected.push(r); newActive[r.id] = r; }
+        }
+        // Rules that only ever see chained output won't occur in the page text itself, so follow
+        // each newly active chainable rule's replacement to what it would feed into.
+        let chainFrom = detected.filter(r => r.chainable && !r.richText);
+        for (let pass = 0; pass < MAX_CHAIN_PASSES && chainFrom.length; pass++) {
+            const rest = candidates.filter(r => !newActive[r.id]);
+            if (!rest.length) break;
+            const chainHits = new Set(await runMatchJob('detect', { rules: rest, text: chainFrom.map(r => r.newText || '').join('\n') }));
+            chainFrom = rest.filter(r => chainHits.has(r.id));
+            chainFrom.forEach(r => { detected.push(r); newActive[r.id] = r; });
+            chainFrom = chainFrom.filter(r => r.chainable && !r.richText);
+        }
+        if (!scopeRoots || detected.length !== Object.keys(activeRules).length) updateActiveHostInGM(detected);
+        const newHash = JSON.stringify(Object.keys(newActive).sort());
+        activeRules = newActive;
+        if (newHash !== prevActiveHash) { prevActiveHash = newHash; updateGuiIfNeeded(); }
+        scheduleReplace(scopeRoots);
+    }
+
+    function scheduleReplace(scopeRoots = null) {
+        if (replaceTimer) clearTimeout(replaceTimer);
+        pendingReplaceScope = mergeScopes(pendingReplaceScope, scopeRoots);
+        replaceTimer = setTimeout(() => {
+            const scope = pendingReplaceScope ? [...pendingReplaceScope].filter(n => n.isConnected) : null;
+            pendingReplaceScope = undefined;
+            if ('requestIdleCallback' in window) {
+                requestIdleCallback(() => performReplacementPass(scope), { timeout: 2000 });
+            } else {
+                performReplacementPass(scope);
+            }
+            replaceTimer = null;
+        }, REPLACE_DEBOUNCE);
+    }
+
+    // ---------- LITERAL TERM AUTOMATON ----------
+    // Aho-Corasick over every literal, gap-free rule, so both detection and Pass 2 find all
+    // candidate occurrences of thousands of terms in one linear pass instead of compiling and
+    // backtracking through one giant alternation. The automaton runs on a loosely normalised copy of
+    // the text (lowercased, accent/width-folded, whitespace collapsed, zero-width characters
+    // dropped) and is only a prefilter: every candidate is confirmed by the rule's own compiled regex
+    // anchored at that position, so word boundaries, case sensitivity, folding and inflection behave
+    // exactly as on the regex path. Gap (---) and regex rules never go through here.
+    const literalAutomatonCache = new Map();
+    const stickyRegexCache = new WeakMap();
+
+    function isAutomatonRule(rule) {
+        return !rule.isRegex && !(rule.oldText || '').includes('---');
+    }
+
+    function normalizeAutomatonChar(ch) {
+        const cp = ch.codePointAt(0);
+        if (cp < 128) return ch.toLowerCase();
+        if (/[\u200B-\u200D\uFEFF]/.test(ch)) return '';
+        if (ch === '’') return "'";
+        return foldString(ch).toLowerCase().replace(/ς/g, 'σ');
+    }
+
+    // Normalised text plus, for every normalised index, the index in the original string it came from.
+    function normalizeForAutomaton(str) {
+        let text = '';
+        const map = [];
+        let lastSpace = false;
+        for (let i = 0; i < str.length;) {
+            const ch = String.fromCodePoint(str.codePointAt(i));
+            if (/\s/u.test(ch)) {
+                if (!lastSpace) { text += ' '; map.push(i); }
+                lastSpace = true;
+            } else {
+                const norm = normalizeAutomatonChar(ch);
+                for (let k = 0; k < norm.length; k++) { text += norm[k]; map.push(i); }
+                if (norm) lastSpace = false;
+            }
+            i += ch.length;
+        }
+        return { text, map };
+    }
+
+    function automatonPatternsOf(rule) {
+        const source = rule.ignoreAccents ? foldString(rule.oldText) : rule.oldText;
+        const patterns = [];
+        for (const branch of source.split(/\s*\|\s*/)) {
+            const words = branch.trim().split(/\s+/).filter(Boolean);
+            if (!words.length) continue;
+            const last = words.pop();
+            const lastForms = rule.inflect ? getInflectedForms(last).map(f => f.form) : [last];
+            for (const form of lastForms) {
+                const pattern = normalizeForAutomaton(words.concat(form).join(' ')).text.trim();
+                if (pattern) patterns.push(pattern);
+            }
+        }
+        return patterns;
+    }
+
+    function buildLiteralAutomaton(rules) {
+        const root = { next: new Map(), fail: null, out: [] };
+        rules.forEach((rule, index) => {
+            for (const pattern of new Set(automatonPatternsOf(rule))) {
+                let node = root;
+                // Per UTF-16 unit, like the scan, so surrogate pairs (emoji) line up.
+                for (let k = 0; k < pattern.length; k++) {
+                    const ch = pattern[k];
+                    if (!node.next.has(ch)) node.next.set(ch, { next: new Map(), fail: root, out: [] });
+                    node = node.next.get(ch);
+                }
+                node.out.push({ index, len: pattern.length });
+            }
+        });
+        const queue = [...root.next.values()];
+        for (let qi = 0; qi < queue.length; qi++) {
+            const node = queue[qi];
+            for (const [ch, child] of node.next) {
+                let f = node.fail;
+                while (f && !f.next.has(ch)) f = f.fail;
+                child.fail = f ? f.next.get(ch) : root;
+                if (child.fail.out.length) child.out = child.out.concat(child.fail.out);
+                queue.push(child);
+            }
+        }
+        return { root, rules };
+    }
+
+    // Cached per exact rule list (order matters: candidate indices are positions in it).
+    function getLiteralAutomaton(rules) {
+        const key = rules.map(signatureOf).join('\n');
+        let automaton = literalAutomatonCache.get(key);
+        if (!automaton) {
+            if (literalAutomatonCache.size >= 4) literalAutomatonCache.clear();
+            automaton = buildLiteralAutomaton(rules);
+            literalAutomatonCache.set(key, automaton);
+        }
+        return automaton;
+    }
+
+    // Candidate { start, index } pairs (index into automaton.rules), sorted by start then index.
+    function scanLiteralAutomaton(automaton, str) {
+        const { text, map } = normalizeForAutomaton(str);
+        const found = [];
+        let node = automaton.root;
+        for (let j = 0; j < text.length; j++) {
+            const ch = text[j];
+            while (node !== automaton.root && !node.next.has(ch)) node = node.fail;
+            node = node.next.get(ch) || automaton.root;
+            for (const o of node.out) found.push({ start: map[j - o.len + 1], index: o.index });
+        }
+        found.sort((a, b) => a.start - b.start || a.index - b.index);
+        return found.filter((c, i) => i === 0 || c.start !== found[i - 1].start || c.index !== found[i - 1].index);
+    }
+
+    // The rule's own regex, anchored at `start`; null unless it really matches there.
+    function matchRuleAt(rule, text, start) {
+        const rx = compileRuleRegex(rule, false);
+        let sticky = stickyRegexCache.get(rx);
+        if (!sticky) { sticky = new RegExp(rx.source, rx.flags.replace('g', '') + 'y'); stickyRegexCache.set(rx, sticky); }
+        sticky.lastIndex = start;
+        const m = sticky.exec(text);
+        return m && m[0] ? m : null;
+    }
+
+    // Which of `rules` occur anywhere in `text` (detection only needs one hit per rule).
+    function detectLiteralRules(rules, text) {
+        const hits = new Set();
+        if (!rules.length) return hits;
+        const automaton = getLiteralAutomaton(rules);
+        for (const c of scanLiteralAutomaton(automaton, text)) {
+            const rule = rules[c.index];
+            if (hits.has(rule)) continue;
+            try { if (matchRuleAt(rule, text, c.start)) hits.add(rule); } catch (e) {}
         }
-    } catch (e) { error('GM_addValueChangeListener registration failed', e); }
+        return hits;
+    }
 
-    function updateActiveHostInGM(detectedArray) {
-        const payload = readGM(ACTIVE_KEY, { ts: 0, hostMap: {} }); payload.hostMap = payload.hostMap || {};
-        if (!detectedArray || detectedArray.length === 0) { if (payload.hostMap[HOST]) delete payload.hostMap[HOST]; }
-        else { payload.hostMap[HOST] = detectedArray.map(r => ({ id: r.id, oldText: r.oldText, newText: r.newText, caseSensitive: !!r.caseSensitive, forceGlobal: !!r.forceGlobal, smartPriority: !!r.smartPriority })); }
-        payload.ts = now(); writeGM(ACTIVE_KEY, payload);
+    // ---------- COMBINED REGEX OPTIMISATION ----------
+    // Literal gap-free rules go through the automaton above; gap rules get one alternation per case
+    // mode ('gu' and 'giu'). Both only find where a match can start, and each rule is then confirmed
+    // there with its own regex (matchRuleAt), so every pass sees the same matches. All of them feed
+    // one candidate list that claimByRank resolves, so a library mixing case-sensitive and
+    // -insensitive terms still gets the single-scan fast path. Each gap rule's branch is a named
+    // group keyed by its rank in rulesList; its own unnamed (.*?) groups rule out group numbers.
+    let combinedMatchers = [];
+
+    function buildCombinedRegex(rulesList) {
+        combinedMatchers = [];
+        // A regex rule brings its own groups, named groups and backreferences, none of which
+        // survive being renumbered inside one big alternation — those sets use the per-rule path.
+        if (!rulesList.length || rulesList.some(r => r.isRegex)) return;
+        const ranked = rulesList.map((rule, rank) => ({ rule, rank, group: 'tr' + rank }));
+        const literal = ranked.filter(e => isAutomatonRule(e.rule));
+        if (literal.length) combinedMatchers.push({ automaton: getLiteralAutomaton(literal.map(e => e.rule)), entries: literal });
+        const gapped = ranked.filter(e => !isAutomatonRule(e.rule));
+        const buckets = [[gapped.filter(e => e.rule.caseSensitive), 'gu'], [gapped.filter(e => !e.rule.caseSensitive), 'giu']];
+        for (const [entries, flags] of buckets) {
+            if (!entries.length) continue;
+            const rx = new RegExp(entries.map(e => `(?<${e.group}>${getRuleBranchSource(e.rule)})`).join('|'), flags);
+            combinedMatchers.push({ rx, entries });
+        }
     }
 
-    function revertAllReplacements() {
-        try {
-            document.querySelectorAll('.tr-replaced, .tr-replaced-hidden').forEach(el => {
-                const data = repDataMap.get(el.dataset.trId);
-                if (data) {
-                    el.outerHTML = data.orig;
+    // Every match of every combined rule, overlaps resolved rank first (see claimByRank).
+    function collectCombinedMatches(text) {
+        const candidates = [];
+        for (const matcher of combinedMatchers) {
+            if (matcher.automaton) {
+                for (const c of scanLiteralAutomaton(matcher.automaton, text)) {
+                    const { rule, rank } = matcher.entries[c.index];
+                    let match = null;
+                    try { match = matchRuleAt(rule, text, c.start); } catch (e) {}
+                    if (match) candidates.push({ start: c.start, end: c.start + match[0].length, match, rule, rank });
                 }
-            });
-            repDataMap.clear();
-            document.querySelectorAll('[data-tr-processed]').forEach(el => {
-                delete el.dataset.trProcessed;
-            });
-        } catch (e) { error('revertAllReplacements failed', e); }
+                continue;
+            }
+            // Stepping one past each hit visits every start any gap rule matches at. The alternation
+            // reports its first matching branch there; earlier branches didn't match at that start,
+            // so only that rule and the ones after it need checking, which keeps a lower-ranked
+            // match that survives when the higher-ranked one loses an overlap elsewhere.
+            const rx = matcher.rx;
+            rx.lastIndex = 0;
+            let hit;
+            while ((hit = rx.exec(text)) !== null) {
+                const first = matcher.entries.findIndex(e => hit.groups[e.group] !== undefined);
+                for (const { rule, rank } of matcher.entries.slice(Math.max(first, 0))) {
+                    let match = null;
+                    try { match = matchRuleAt(rule, text, hit.index); } catch (e) {}
+                    if (match) candidates.push({ start: hit.index, end: hit.index + match[0].length, match, rule, rank });
+                }
+                rx.lastIndex = hit.index + (text.codePointAt(hit.index) > 0xFFFF ? 2 : 1);
+            }
+        }
+        return claimByRank(candidates);
     }
 
-    async function runDetectionAndApplyInternal() {
-        if (blockedDomains.includes(HOST)) return;
-        localRules = await getActiveRules();
-        // textContent avoids the forced synchronous layout/reflow that innerText triggers,
-        // which matters here since this runs on every debounced mutation pass.
-        const bodyText = document.body ? (document.body.textContent || '') : '';
-        const detected = []; const newActive = {};
-        for (const r of localRules) {
-            if (!r.enabled) continue;
+    // Every replacement a single text node needs, as { start, end, str, rep, ruleId, variant } in text
+    // offsets. Sets containing regex rules keep the sequential per-rule behaviour (each rule sees the
+    // text with earlier rules' matches already claimed); everything else uses the combined matchers.
+    // Pure: no DOM, no stats, so it runs unchanged inside the match worker.
+    function findTextReplacements(text, rulesList) {
+        const out = [];
+        if (combinedMatchers.length) {
+            for (const { start, end, match, rule } of collectCombinedMatches(text)) {
+                const matchedString = match[0];
+                let capturedGap = '';
+                if (rule.oldText.includes('---')) {
+                    const rx = compileRuleRegex(rule, false);
+                    rx.lastIndex = 0;
+                    const ruleMatch = rx.exec(matchedString);
+                    if (ruleMatch) {
+                        capturedGap = ruleMatch[2] || ruleMatch[3] || '';
+                    }
+                }
+                const pick = {};
+                const rep = processReplacement(rule, matchedString, capturedGap, match, rulesList, pick);
+                out.push({ start, end, str: matchedString, rep, ruleId: rule.id, variant: pick.variant });
+            }
+            return out;
+        }
+        let working = text; const ruleMap = [];
+        for (const rule of rulesList) {
+            try {
+                const rx = compileRuleRegex(rule, false);
+                // rx is cached/shared across every text node; without resetting lastIndex first,
+                // a match found in an earlier node can leave it pointed mid-string, causing .test()
+                // here to miss a real match and silently skip this rule for this node (letting a
+                // shorter overlapping rule apply instead — this was the source of the overwrite-priority bug).
+                rx.lastIndex = 0;
+                if (!rx.test(working)) continue;
+                rx.lastIndex = 0;
+                // Markers left by earlier rules are plain text at this point; a broad
+                // regex rule (e.g. "\w+") would happily match inside them and corrupt
+                // the splice below, so any match touching a marker is left alone.
+                const markerRanges = [];
+                if (ruleMap.length) {
+                    const markerRx = /\[\[TR_REP_[^\]]+\]\]/g;
+                    let mk;
+                    while ((mk = markerRx.exec(working)) !== null) markerRanges.push([mk.index, mk.index + mk[0].length]);
+                }
+                working = working.replace(rx, (...args) => {
+                    const m = replaceArgsToMatch(args);
+                    const matchedStr = m[0];
+                    if (!matchedStr) return matchedStr;
+                    if (markerRanges.some(([a, b]) => m.index < b && m.index + matchedStr.length > a)) return matchedStr;
+                    const gapMatch = rule.isRegex ? '' : m.slice(2).find(x => x !== undefined && x !== matchedStr);
+                    const pick = {};
+                    const rep = processReplacement(rule, matchedStr, gapMatch, m, rulesList, pick);
+                    const marker = `[[TR_REP_${rule.id}_${uuid()}]]`;
+                    ruleMap.push({ marker, rep, orig: matchedStr, ruleId: rule.id, variant: pick.variant });
+                    return marker;
+                });
+            } catch(e) { error('Text replacement error', e); }
+        }
+        if (!ruleMap.length) return out;
+        // Walk the marked-up string back into offsets of the untouched text.
+        let pos = 0;
+        for (const part of working.split(/(\[\[TR_REP_[^\]]+\]\])/g)) {
+            const mapped = ruleMap.find(rm => rm.marker === part);
+            if (mapped) {
+                out.push({ start: pos, end: pos + mapped.orig.length, str: mapped.orig, rep: mapped.rep, ruleId: mapped.ruleId, variant: mapped.variant });
+                pos += mapped.orig.length;
+            } else { pos += part.length; }
+        }
+        return out;
+    }
+
+    // Ids of the rules (already filtered to enabled, in-scope, non-global) that occur in text.
+    function detectRulesInText(rules, text) {
+        const literalRules = rules.filter(isAutomatonRule);
+        const hits = detectLiteralRules(literalRules, text);
+        const ids = [];
+        for (const r of rules) {
+            if (hits.has(r)) { ids.push(r.id); continue; }
+            if (isAutomatonRule(r)) continue;
             try {
                 const rx = compileRuleRegex(r, false);
                 // rx is cached/shared across calls; a global regex's .test() leaves lastIndex
                 // sitting after the previous match it found, so without this reset a later call
                 // can silently start mid-string and miss a real match near the beginning.
                 rx.lastIndex = 0;
-                if (r.forceGlobal || rx.test(bodyText)) { detected.push(r); newActive[r.id] = r; }
+                if (rx.test(text)) ids.push(r.id);
             } catch(e) {}
         }
-        updateActiveHostInGM(detected);
-        const newHash = JSON.stringify(Object.keys(newActive).sort());
-        activeRules = newActive;
-        if (newHash !== prevActiveHash) { prevActiveHash = newHash; updateGuiIfNeeded(); }
-        scheduleReplace();
+        return ids;
     }
 
-    function scheduleReplace() {
-        if (replaceTimer) clearTimeout(replaceTimer);
-        replaceTimer = setTimeout(() => {
-            if ('requestIdleCallback' in window) {
-                requestIdleCallback(() => performReplacementPass(), { timeout: 2000 });
-            } else {
-                performReplacementPass();
-            }
-            replaceTimer = null;
-        }, REPLACE_DEBOUNCE);
+    function runMatchJobSync(type, payload) {
+        if (type === 'detect') return detectRulesInText(payload.rules, payload.text);
+        buildCombinedRegex(payload.rules);
+        return payload.texts.map(text => findTextReplacements(text, payload.rules));
     }
 
-    // ---------- COMBINED REGEX OPTIMISATION ----------
-    let combinedRegex = null;
-    let combinedRuleMap = [];
+    // ---------- MATCH WORKER ----------
+    // Detection and Pass 2 matching run in a blob Worker so long pages (huge comment threads) don't
+    // stall scrolling; the main thread only collects text and splices the DOM. The worker is built
+    // from the very functions above (Function.prototype.toString), so both sides match identically.
+    // Sites whose CSP forbids blob: workers make the constructor throw or the worker error; either
+    // switches this page to running the same jobs synchronously. A job that isn't answered in time
+    // may only mean a briefly stalled tab, so a timeout just drops that worker: its jobs run here,
+    // and a fresh worker is tried after a backoff that doubles with each consecutive timeout.
+    const MATCH_WORKER_TIMEOUT = 4000;
+    const MATCH_WORKER_RETRY_BASE = 15000, MATCH_WORKER_RETRY_MAX = 10 * 60 * 1000;
+    let matchWorker = null, matchWorkerFailed = false, matchJobSeq = 0;
+    let matchWorkerTimeouts = 0, matchWorkerRetryAt = 0;
+    const matchJobs = new Map();
 
-    function buildCombinedRegex(rulesList) {
-        if (!rulesList.length) {
-            combinedRegex = null;
-            combinedRuleMap = [];
-            return;
-        }
-        const caseSensitiveRules = rulesList.filter(r => r.caseSensitive);
-        const caseInsensitiveRules = rulesList.filter(r => !r.caseSensitive);
-        if (caseSensitiveRules.length > 0 && caseInsensitiveRules.length === 0) {
-            const branches = [];
-            combinedRuleMap = [];
-            for (const rule of caseSensitiveRules) {
-                const branch = getRuleBranchSource(rule);
-                branches.push(`(${branch})`);
-                combinedRuleMap.push(rule);
-            }
-            combinedRegex = new RegExp(branches.join('|'), 'g');
-        } else if (caseInsensitiveRules.length > 0 && caseSensitiveRules.length === 0) {
-            const branches = [];
-            combinedRuleMap = [];
-            for (const rule of caseInsensitiveRules) {
-                const branch = getRuleBranchSource(rule);
-                branches.push(`(${branch})`);
-                combinedRuleMap.push(rule);
-            }
-            combinedRegex = new RegExp(branches.join('|'), 'gi');
-        } else {
-            // mixed case sensitivity, fallback to per-rule
-            combinedRegex = null;
-            combinedRuleMap = [];
-        }
-    }
-
-    function performReplacementPass() {
-        if (blockedDomains.includes(HOST)) return;
-
-        let rulesList = Object.values(activeRules).sort((a, b) => {
-            // More words = more specific = higher priority, so e.g. "this student" (2 words)
-            // wins over an overlapping "student" (1 word) instead of both trying to apply.
-            const wordDiff = countRuleWords(b) - countRuleWords(a);
-            if (wordDiff !== 0) return wordDiff;
-            const lenDiff = (b.oldText || '').length - (a.oldText || '').length;
-            if (lenDiff !== 0) return lenDiff;
-            const aSmart = !!a.smartPriority;
-            const bSmart = !!b.smartPriority;
-            if (aSmart !== bSmart) return aSmart ? -1 : 1;
-            if (aSmart) {
-                const aStats = ruleStats.get(a.id) || { lastUsed: 0, matchCount: 0 };
-                const bStats = ruleStats.get(b.id) || { lastUsed: 0, matchCount: 0 };
-                if (aStats.lastUsed !== bStats.lastUsed) return bStats.lastUsed - aStats.lastUsed;
-                if (aStats.matchCount !== bStats.matchCount) return bStats.matchCount - aStats.matchCount;
-            }
-            return 0;
+    function buildMatchWorkerSource() {
+        const constSource = (name, value) => value instanceof RegExp
+            ? `const ${name} = new RegExp(${JSON.stringify(value.source)}, ${JSON.stringify(value.flags)});`
+            : `const ${name} = ${JSON.stringify(value)};`;
+        const consts = { LOG_PREFIX, WORD_CHAR_CLASS, WORD_CHAR_RX, UNSPACED_SCRIPT_RX, IRREGULAR_PLURALS, IRREGULAR_PAST, IRREGULAR_THIRD_PERSON, INFLECTION_FORM_KEYS, OVERRIDABLE_FORM_KEYS, MAX_CHAIN_PASSES, VARIANT_RX, VARIANT_MODES };
+        const fns = [log, error, escapeRegExp, escapeHtml, now, uuid, signatureOf, formatSiteScope, formatRuleConditions, sanitizeRegexFlags, expandRegexTemplate, replaceArgsToMatch,
+            compileRuleRegex, getRuleBranchSource, buildLiteralRuleSource, needsWordBoundary, wrapWithWordBoundaries, foldString, getFoldEquivalents,
+            foldCharPattern, parseInflectionOverride, buildInflectionOverrideMap, inflectWord, getInflectedForms, inflectionFormOf, inflectLastWord,
+            caseShapeOf, applyCaseShape, matchCasePattern, recaseRichText, isAtSentenceStart, processReplacement, buildReplacementText, isAutomatonRule,
+            normalizeAutomatonChar, normalizeForAutomaton, automatonPatternsOf, buildLiteralAutomaton, getLiteralAutomaton, scanLiteralAutomaton,
+            matchRuleAt, detectLiteralRules, buildCombinedRegex, claimByRank, collectCombinedMatches, findTextReplacements, detectRulesInText, runMatchJobSync,
+            findStringReplacements, chainReplacement, hasVariants, hashString, chooseVariants];
+        return [
+            '"use strict";',
+            ...Object.entries(consts).map(([name, value]) => constSource(name, value)),
+            'const regexCache = new Map(), inflectionCache = new Map(), literalAutomatonCache = new Map(), stickyRegexCache = new WeakMap();',
+            'let inflectionOverrideMap = new Map(), foldEquivalents = null, combinedMatchers = [], lastOverrides = null;',
+            "let variantPageKey = '', variantCounters = {};",
+            ...fns.map(fn => fn.toString()),
+            `self.onmessage = e => {
+                const { id, type, payload, overrides, variants } = e.data;
+                try {
+                    const key = JSON.stringify(overrides);
+                    if (key !== lastOverrides) {
+                        lastOverrides = key;
+                        inflectionOverrideMap = buildInflectionOverrideMap(overrides);
+                        inflectionCache.clear(); regexCache.clear(); literalAutomatonCache.clear();
+                    }
+                    if (variants) { variantPageKey = variants.pageKey; variantCounters = variants.counters; }
+                    self.postMessage({ id, result: runMatchJobSync(type, payload), counters: variantCounters });
+                } catch (err) { self.postMessage({ id, error: String(err && err.message || err) }); }
+            };`
+        ].join('\n');
+    }
+
+    function dropMatchWorker() {
+        if (matchWorker) { try { matchWorker.terminate(); } catch (e) {} matchWorker = null; }
+        // Anything still waiting on the worker is answered here instead.
+        for (const [id, job] of matchJobs) { matchJobs.delete(id); clearTimeout(job.timer); job.fallback(); }
+    }
+
+    function disableMatchWorker(reason) {
+        if (matchWorkerFailed) return;
+        matchWorkerFailed = true;
+        log('Match worker unavailable, matching on the main thread:', reason);
+        dropMatchWorker();
+    }
+
+    function resetMatchWorker(reason) {
+        if (!matchWorker) return;
+        const delay = Math.min(MATCH_WORKER_RETRY_BASE * 2 ** matchWorkerTimeouts, MATCH_WORKER_RETRY_MAX);
+        matchWorkerTimeouts++;
+        matchWorkerRetryAt = now() + delay;
+        log(`Match worker reset (${reason}), matching on the main thread for ${Math.round(delay / 1000)}s`);
+        dropMatchWorker();
+    }
+
+    function getMatchWorker() {
+        if (matchWorker || matchWorkerFailed || now() < matchWorkerRetryAt) return matchWorker;
+        if (typeof Worker === 'undefined' || typeof Blob === 'undefined') { matchWorkerFailed = true; return null; }
+        try {
+            const url = URL.createObjectURL(new Blob([buildMatchWorkerSource()], { type: 'text/javascript' }));
+            matchWorker = new Worker(url);
+            matchWorker.onmessage = (e) => {
+                const job = matchJobs.get(e.data.id);
+                if (!job) return;
+                matchJobs.delete(e.data.id); clearTimeout(job.timer);
+                if (e.data.error) { error('Match worker job failed', e.data.error); job.fallback(); }
+                else { matchWorkerTimeouts = 0; mergeVariantCounters(e.data.counters); job.resolve(e.data.result); }
+            };
+            matchWorker.onerror = (e) => { if (e && e.preventDefault) e.preventDefault(); disableMatchWorker(e && e.message || 'worker error'); };
+        } catch (e) {
+            disableMatchWorker(e && e.message || e);
+        }
+        return matchWorker;
+    }
+
+    // Resolves with exactly what runMatchJobSync(type, payload) would return.
+    function runMatchJob(type, payload) {
+        return new Promise(resolve => {
+            const fallback = () => { try { resolve(runMatchJobSync(type, payload)); } catch (e) { error('Match job failed', e); resolve([]); } };
+            const worker = getMatchWorker();
+            if (!worker) { fallback(); return; }
+            const id = ++matchJobSeq;
+            const timer = setTimeout(() => resetMatchWorker('no answer within ' + MATCH_WORKER_TIMEOUT + 'ms'), MATCH_WORKER_TIMEOUT);
+            matchJobs.set(id, { resolve, fallback, timer });
+            try { worker.postMessage({ id, type, payload, overrides: inflectionOverrides, variants: { pageKey: variantPageKey, counters: variantCounters } }); }
+            catch (e) { disableMatchWorker(e && e.message || e); }
         });
+    }
+
+    async function performReplacementPass(scopeRoots = null) {
+        if (isSiteDisabled() || isPaused()) return;
+        variantPageKey = location.origin + location.pathname + location.search; // SPA navigations
+
+        let rulesList = Object.values(activeRules).sort(compareRulePriority);
 
         if (!rulesList.length) return;
-        buildCombinedRegex(rulesList);
+        const generation = replacementGeneration;
         const nowTs = now();
+        const roots = scopeRoots || getReplacementRoots();
 
         // Pass 0: Cross-element replacement (Range API). A single-word match can't meaningfully
         // straddle two elements, so only pay for this full-DOM container scan + ancestor walk
         // when at least one active rule actually spans more than one word.
         const needsCrossElementPass = rulesList.some(r => countRuleWords(r) > 1);
         if (needsCrossElementPass) {
-            processCrossElementReplacements(rulesList);
+            processCrossElementReplacements(rulesList, roots);
         }
 
-        // Pass 1: Block-level HTML replacement
+        // Pass 1: Block-level replacement across inline formatting
         try {
-            const safeBlocks = document.querySelectorAll('p, h1, h2, h3, h4, h5, h6, li, blockquote, dd, dt');
+            const safeBlocks = [];
+            roots.forEach(root => safeBlocks.push(...queryAllInclusive(root, 'p, h1, h2, h3, h4, h5, h6, li, blockquote, dd, dt')));
             safeBlocks.forEach(block => {
                 if (block.dataset.trProcessed) return;
                 if (isInProtectedArea(block)) return;
                 if (block.querySelector('a, button, input, textarea, select, iframe, script, style, [onclick]')) return;
-                let html = block.innerHTML; let modified = false;
-                for (const rule of rulesList) {
-                    try {
-                        const rx = compileRuleRegex(rule, true);
-                        // Same cached-regex/lastIndex hazard as elsewhere: this rx is reused across
-                        // every block in safeBlocks, so it must be reset before each .test() or a
-                        // match in an earlier block can cause a later block's real match to be missed.
-                        rx.lastIndex = 0;
-                        const beforeHtml = html;
-                        if (rx.test(html)) {
-                            html = html.replace(rx, (...args) => {
-                                const matchedStr = args[0];
-                                const offset = args[args.length - 2];
-                                const fullStr = args[args.length - 1];
-                                const before = fullStr.substring(0, offset);
-                                if ((before.match(/</g) || []).length > (before.match(/>/g) || []).length) {
-                                    return matchedStr;
-                                }
-                                modified = true;
-                                const gapMatch = args.slice(2, -2).find(x => x !== undefined && x !== matchedStr);
-                                const rep = processReplacement(rule, matchedStr, gapMatch);
-                                const trId = 'tr' + (++trIdCounter);
-                                repDataMap.set(trId, { orig: matchedStr, ruleId: rule.id });
-                                return `<span class="${enableHighlight ? 'tr-replaced' : 'tr-replaced-hidden'}" data-tr-id="${trId}">${rep}</span>`;
-                            });
-                            if (html !== beforeHtml) {
-                                const s = ruleStats.get(rule.id) || { lastUsed: 0, matchCount: 0 };
-                                s.lastUsed = nowTs; s.matchCount++; ruleStats.set(rule.id, s);
-                                scheduleStatsSave();
-                            }
-                        }
-                    } catch(e) { error('Block replacement error', e); }
-                }
-                if (modified) { block.innerHTML = html; block.dataset.trProcessed = "true"; }
+                if (replaceInBlock(block, rulesList, nowTs)) block.dataset.trProcessed = "true";
             });
         } catch (e) { error('Pass 1 error', e); }
 
@@ -959,121 +2708,111 @@
                     return NodeFilter.FILTER_ACCEPT;
                 }
             };
-            const walker = document.createTreeWalker(document.body || document.documentElement, NodeFilter.SHOW_TEXT, nodeFilter, false);
             const nodesToReplace = [];
-            let node;
-            while ((node = walker.nextNode())) { nodesToReplace.push(node); }
-
-            if (combinedRegex) {
-                for (const textNode of nodesToReplace) {
-                    let text = textNode.nodeValue;
-                    let modified = false;
-                    const replacements = [];
-                    let match;
-                    combinedRegex.lastIndex = 0;
-                    while ((match = combinedRegex.exec(text)) !== null) {
-                        let matchedRule = null;
-                        let matchedString = match[0];
-                        for (let i = 1; i <= combinedRuleMap.length; i++) {
-                            if (match[i] !== undefined) {
-                                matchedRule = combinedRuleMap[i-1];
-                                break;
-                            }
-                        }
-                        if (!matchedRule) continue;
-                        let capturedGap = '';
-                        if (matchedRule.oldText.includes('---')) {
-                            const rx = compileRuleRegex(matchedRule, false);
-                            rx.lastIndex = 0;
-                            const ruleMatch = rx.exec(matchedString);
-                            if (ruleMatch) {
-                                capturedGap = ruleMatch[2] || ruleMatch[3] || '';
-                            }
-                        }
-                        const rep = processReplacement(matchedRule, matchedString, capturedGap);
-                        replacements.push({ start: match.index, end: combinedRegex.lastIndex, str: matchedString, rep, rule: matchedRule });
-                        modified = true;
-                    }
-                    if (modified) {
-                        const fragment = document.createDocumentFragment();
-                        let lastIdx = 0;
-                        replacements.sort((a,b) => a.start - b.start);
-                        for (const repl of replacements) {
-                            if (repl.start > lastIdx) {
-                                fragment.appendChild(document.createTextNode(text.substring(lastIdx, repl.start)));
-                            }
-                            const trId = 'tr' + (++trIdCounter);
-                            repDataMap.set(trId, { orig: repl.str, ruleId: repl.rule.id });
-                            const span = document.createElement('span');
-                            span.className = enableHighlight ? 'tr-replaced' : 'tr-replaced-hidden';
-                            span.textContent = repl.rep;
-                            span.dataset.trId = trId;
-                            fragment.appendChild(span);
-                            lastIdx = repl.end;
-                            const s = ruleStats.get(repl.rule.id) || { lastUsed: 0, matchCount: 0 };
-                            s.lastUsed = nowTs; s.matchCount++;
-                            ruleStats.set(repl.rule.id, s);
-                            scheduleStatsSave();
-                        }
-                        if (lastIdx < text.length) {
-                            fragment.appendChild(document.createTextNode(text.substring(lastIdx)));
-                        }
-                        textNode.parentNode.replaceChild(fragment, textNode);
-                    }
-                }
-            } else {
-                // Fallback to per-rule loop
-                for (const textNode of nodesToReplace) {
-                    let text = textNode.nodeValue; let modified = false; let ruleMap = [];
-                    for (const rule of rulesList) {
-                        try {
-                            const rx = compileRuleRegex(rule, false);
-                            // rx is cached/shared across every text node in this loop; without
-                            // resetting lastIndex first, a match found in an earlier node can leave
-                            // it pointed mid-string, causing .test() here to miss a real match and
-                            // silently skip this rule for this node (letting a shorter overlapping
-                            // rule apply instead — this was the source of the overwrite-priority bug).
-                            rx.lastIndex = 0;
-                            const beforeText = text;
-                            if (!rx.test(text)) continue;
-                            rx.lastIndex = 0;
-                            text = text.replace(rx, (...args) => {
-                                modified = true;
-                                const matchedStr = args[0];
-                                const gapMatch = args.slice(2, -2).find(x => x !== undefined && x !== matchedStr);
-                                const rep = processReplacement(rule, matchedStr, gapMatch);
-                                const marker = `[[TR_REP_${rule.id}_${uuid()}]]`;
-                                ruleMap.push({ marker, rep, orig: matchedStr, ruleId: rule.id });
-                                return marker;
-                            });
-                            if (text !== beforeText) {
-                                const s = ruleStats.get(rule.id) || { lastUsed: 0, matchCount: 0 };
-                                s.lastUsed = nowTs; s.matchCount++; ruleStats.set(rule.id, s);
-                                scheduleStatsSave();
-                            }
-                        } catch(e) { error('Text replacement error', e); }
-                    }
-                    if (modified && textNode.parentNode) {
-                        const fragment = document.createDocumentFragment();
-                        const splitRegex = /(\[\[TR_REP_[^\]]+\]\])/g;
-                        const parts = text.split(splitRegex);
-                        parts.forEach(part => {
-                            const mapped = ruleMap.find(rm => rm.marker === part);
-                            if (mapped) {
-                                const trId = 'tr' + (++trIdCounter);
-                                repDataMap.set(trId, { orig: mapped.orig, ruleId: mapped.ruleId });
-                                const span = document.createElement('span');
-                                span.className = enableHighlight ? 'tr-replaced' : 'tr-replaced-hidden';
-                                span.textContent = mapped.rep;
-                                span.dataset.trId = trId;
-                                fragment.appendChild(span);
-                            } else if (part) { fragment.appendChild(document.createTextNode(part)); }
-                        });
-                        textNode.parentNode.replaceChild(fragment, textNode);
+            for (const root of roots) {
+                const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, nodeFilter, false);
+                let node;
+                while ((node = walker.nextNode())) { nodesToReplace.push(node); }
+            }
+
+            const texts = nodesToReplace.map(n => n.nodeValue);
+            const results = await runMatchJob('match', { rules: rulesList, texts });
+            // Anything reverted or re-rendered while the worker was busy is left for the next pass.
+            if (generation !== replacementGeneration) return;
+            const rulesById = new Map(rulesList.map(r => [r.id, r]));
+            nodesToReplace.forEach((textNode, i) => {
+                const replacements = results[i] || [];
+                const text = texts[i];
+                if (!replacements.length || !textNode.parentNode || textNode.nodeValue !== text) return;
+                // Back to front, so textNode keeps the text before each remaining match.
+                replacements.sort((a,b) => b.start - a.start);
+                for (const repl of replacements) {
+                    const rule = rulesById.get(repl.ruleId);
+                    recordVariant(replaceTextSlice(textNode, repl.start, repl.end, repl.rep, repl.ruleId, !!(rule && rule.richText)), repl.variant);
+                    if (rulesById.has(repl.ruleId)) {
+                        const s = ruleStats.get(repl.ruleId) || { lastUsed: 0, matchCount: 0 };
+                        s.lastUsed = nowTs; s.matchCount++;
+                        ruleStats.set(repl.ruleId, s);
+                        scheduleStatsSave();
                     }
                 }
-            }
+            });
         } catch (e) { error('Pass 2 error', e); }
+
+        // Pass 3: Attribute replacement (opt-in)
+        if (enableAttributeReplacement) {
+            try { replaceInAttributes(rulesList, roots, nowTs); } catch (e) { error('Attribute pass error', e); }
+        }
+
+        // Pass 4: Document title (opt-in; the title isn't inside any dirty subtree)
+        if (enableTitleReplacement && !scopeRoots) {
+            try { replaceDocumentTitle(rulesList, nowTs); } catch (e) { error('Title pass error', e); }
+        }
+
+        for (const root of new Set(roots.map(r => r.getRootNode()))) {
+            if (root.host && root.querySelector('.tr-replaced, .tr-replaced-hidden')) ensureShadowStyles(root);
+        }
+    }
+
+    function collectAttributeTargets(roots) {
+        if (!replaceAttributes.length) return [];
+        const selector = replaceAttributes.map(a => `[${a}]`).join(',');
+        const targets = [];
+        for (const root of roots) {
+            queryAllInclusive(root, selector).forEach(el => {
+                if (el.closest('#text-replacer-gui, #tr-quick-edit, #tr-dialog-wrapper, .mui-toggle, #tr-selection-fab')) return;
+                // The element itself may well match a protected selector (an <input> with a
+                // placeholder); attributes aren't user-typed content, so only its ancestors count.
+                if (isInProtectedArea(el.parentElement)) return;
+                replaceAttributes.forEach(attr => { if (el.hasAttribute(attr)) targets.push({ el, attr }); });
+            });
+        }
+        return targets;
+    }
+
+    // Applies the rules to a plain string in priority order: rulesList is already sorted, so an
+    // earlier rule's match claims its span and later overlapping matches are dropped, the same
+    // precedence the text passes use.
+    function replaceInPlainString(text, rulesList, nowTs, usedRuleIds = null) {
+        const found = findStringReplacements(text, rulesList, rulesList);
+        if (!found.length) return text;
+        let out = '', cursor = 0;
+        for (const c of found) {
+            out += text.substring(cursor, c.start) + (c.rule.richText ? richReplacementToText(c.rep) : c.rep);
+            cursor = c.end;
+            if (usedRuleIds) usedRuleIds.add(c.rule.id);
+            const s = ruleStats.get(c.rule.id) || { lastUsed: 0, matchCount: 0 };
+            s.lastUsed = nowTs; s.matchCount++; ruleStats.set(c.rule.id, s);
+            scheduleStatsSave();
+        }
+        return out + text.substring(cursor);
+    }
+
+    function replaceInAttributes(rulesList, roots, nowTs) {
+        for (const { el, attr } of collectAttributeTargets(roots)) {
+            const current = el.getAttribute(attr);
+            const state = attrState.get(el) || {};
+            if (state[attr] && state[attr].applied === current) continue; // already ours
+            const usedRuleIds = new Set();
+            const replaced = replaceInPlainString(current, rulesList, nowTs, usedRuleIds);
+            if (replaced === current) continue;
+            state[attr] = { orig: current, applied: replaced, ruleIds: [...usedRuleIds] };
+            attrState.set(el, state);
+            el.setAttribute(attr, replaced);
+            el.setAttribute('data-tr-attrs', Object.keys(state).join(' '));
+        }
+    }
+
+    function replaceDocumentTitle(rulesList, nowTs) {
+        const current = document.title;
+        if (!current || current === titleApplied) return;
+        const usedRuleIds = new Set();
+        const replaced = replaceInPlainString(current, rulesList, nowTs, usedRuleIds);
+        if (replaced === current) return;
+        titleOriginal = current;
+        titleApplied = replaced;
+        titleRuleIds = [...usedRuleIds];
+        document.title = replaced;
     }
 
     // ---------- VIRTUALIZED GUI ----------
@@ -1101,31 +2840,54 @@
                 const lowerQ = searchQuery.toLowerCase();
                 filteredRules = filteredRules.filter(r => r.oldText.toLowerCase().includes(lowerQ) || r.newText.toLowerCase().includes(lowerQ));
             }
+            // Filters on the effective state, so terms switched off through a group count as disabled.
+            if (libraryFilter !== 'all') filteredRules = filteredRules.filter(r => isRuleEnabled(r) === (libraryFilter === 'enabled'));
             if (filteredRules.length === 0) {
                 virtualScroller.style.height = '100px';
-                virtualScroller.innerHTML = `<div style="text-align: center; padding: 40px; color: #777;">No results for "${escapeHtml(searchQuery)}".</div>`;
+                virtualScroller.innerHTML = `<div style="text-align: center; padding: 40px; color: #777;">${searchQuery.trim() ? `No results for "${escapeHtml(searchQuery)}".` : `No ${libraryFilter} terms.`}</div>`;
                 return;
             }
-            const sorted = filteredRules.sort((a, b) => a.oldText.localeCompare(b.oldText));
+            const isPriorityView = libraryView === 'priority';
+            const sorted = isPriorityView ? filteredRules.sort(compareRulePriority) : filteredRules.sort((a, b) => a.oldText.localeCompare(b.oldText));
+            const rows = isPriorityView ? sorted.map((rule, i) => ({ rule, top: i * CARD_HEIGHT, height: CARD_HEIGHT })) : buildLibraryRows(sorted);
             const scrollTop = listContainer.scrollTop;
             const viewportHeight = listContainer.clientHeight || 400;
-            virtualScroller.style.height = `${sorted.length * CARD_HEIGHT}px`;
-            const startIndex = Math.max(0, Math.floor(scrollTop / CARD_HEIGHT) - 2);
-            const endIndex = Math.min(sorted.length, Math.ceil((scrollTop + viewportHeight) / CARD_HEIGHT) + 2);
+            const last = rows[rows.length - 1];
+            virtualScroller.style.height = `${last.top + last.height}px`;
+            const startIndex = Math.max(0, findRowAt(rows, scrollTop) - 2);
+            const endIndex = Math.min(rows.length, findRowAt(rows, scrollTop + viewportHeight) + 3);
             const nowTs = now();
+            const chainLoops = getChainLoops();
             let htmlStr = '';
             for (let i = startIndex; i < endIndex; i++) {
-                const r = sorted[i]; const isActive = !!activeRules[r.id];
+                const row = rows[i];
+                if (row.group !== undefined) {
+                    const isOff = row.group !== null && disabledGroups.includes(row.group);
+                    htmlStr += `
+                    <div class="mui-group-header ${isOff ? 'off' : ''}" style="top:${row.top}px" data-group="${escapeHtml(row.group || '')}">
+                        <span class="mui-group-name">${row.group === null ? 'Ungrouped' : `📁 ${escapeHtml(row.group)}`} <span class="mui-group-count">${row.count}</span></span>
+                        ${row.group === null ? '' : `<div class="mui-card-actions">
+                            <button class="mui-button mui-pill-secondary mui-group-btn group-toggle-btn">${isOff ? 'OFF' : 'ON'}</button>
+                            <button class="mui-icon-btn mui-tonal group-export-btn" title="Export this group">📤</button>
+                        </div>`}
+                    </div>
+                    `;
+                    continue;
+                }
+                const r = row.rule; const isActive = !!activeRules[r.id];
+                const isOwnEnabled = r.enabled !== false;
                 const stats = ruleStats.get(r.id);
                 const isRecent = stats && (nowTs - stats.lastUsed) < 3600000;
-                const meta = `${isActive ? '✅ Active' : '💤 Idle'} • ${r.forceGlobal ? '🌍 Global' : '🤖 Auto'} ${r.smartPriority ? '• ⚡ Priority' : ''}${isRecent ? ' • ⏱️ Recent' : ''}`;
+                const state = !isOwnEnabled ? '⏸️ Disabled' : !isRuleEnabled(r) ? '⏸️ Group off' : isActive ? '✅ Active' : '💤 Idle';
+                const meta = `${state} • ${r.forceGlobal ? '🌍 Global' : '🤖 Auto'} ${r.smartPriority ? '• ⚡ Priority' : ''}${r.isRegex ? ` • 🧩 /re/${escapeHtml(r.regexFlags || '')}` : ''}${r.preserveCase ? ' • 🔠 Keep Case' : ''}${r.ignoreAccents && !r.isRegex ? ' • ≈ Accents' : ''}${r.inflect && !r.isRegex ? ' • 🔤 Inflects' : ''}${r.richText ? ' • 🅱 Rich' : ''}${r.chainable ? ' • 🔗 Chain' : ''}${hasVariants(r.newText) ? ` • 🎲 ${VARIANT_MODE_LABELS[r.variantMode] || VARIANT_MODE_LABELS.random}` : ''}${chainLoops.has(r.id) ? ' • ⚠️ Loop' : ''}${formatSiteScope(r) ? ` • 📍 ${escapeHtml(formatSiteScope(r))}` : ''}${formatRuleConditions(r) ? ` • 🎯 ${escapeHtml(formatRuleConditions(r))}` : ''}${(r.groups || []).length ? ` • 📁 ${escapeHtml(r.groups.join(', '))}` : ''}${r.priority ? ` • 🔢 ${r.priority}` : ''}${isRecent ? ' • ⏱️ Recent' : ''}`;
                 htmlStr += `
-                    <div class="mui-card ${isActive ? 'active' : ''}" style="top:${i * CARD_HEIGHT}px" data-id="${r.id}">
+                    <div class="mui-card ${isActive ? 'active' : ''} ${isRuleEnabled(r) ? '' : 'disabled'}" style="top:${row.top}px" data-id="${r.id}" ${isPriorityView ? 'draggable="true"' : ''}>
                         <div style="flex-grow:1; overflow:hidden;">
-                            <div class="mui-rule-text">"${escapeHtml(r.oldText)}" ➡ "${escapeHtml(r.newText)}"</div>
+                            <div class="mui-rule-text">${isPriorityView ? `<span class="mui-drag-handle">⠿ ${i + 1}.</span> ` : ''}"${escapeHtml(r.oldText)}" ➡ "${escapeHtml(r.newText)}"</div>
                             <div class="mui-rule-meta">${meta}</div>
                         </div>
                         <div class="mui-card-actions">
+                            <button class="mui-icon-btn mui-tonal toggle-btn" title="${isOwnEnabled ? 'Disable this term' : 'Enable this term'}">${isOwnEnabled ? '⏸️' : '▶️'}</button>
                             <button class="mui-icon-btn mui-tonal edit-btn">✏️</button>
                             <button class="mui-icon-btn mui-error del-btn">🗑️</button>
                         </div>
@@ -1136,14 +2898,119 @@
         } catch (e) { error('renderVirtualList failed', e); }
     }
 
+    // Flattens the (already filtered and sorted) rules into list rows. Once any group exists each
+    // group gets a header followed by its members, so a rule in two groups is listed twice, and the
+    // rest follow under "Ungrouped"; without groups the library stays one flat list.
+    function buildLibraryRows(rules) {
+        const groupNames = listRuleGroups(localRules);
+        const rows = [];
+        let top = 0;
+        const pushRow = row => { row.top = top; top += row.height; rows.push(row); };
+        const pushSection = (group, members) => {
+            if (!members.length) return;
+            pushRow({ group, count: members.length, height: GROUP_HEADER_HEIGHT });
+            members.forEach(rule => pushRow({ rule, height: CARD_HEIGHT }));
+        };
+        if (!groupNames.length) {
+            rules.forEach(rule => pushRow({ rule, height: CARD_HEIGHT }));
+            return rows;
+        }
+        groupNames.forEach(name => pushSection(name, rules.filter(r => (r.groups || []).includes(name))));
+        pushSection(null, rules.filter(r => !(r.groups || []).length));
+        return rows;
+    }
+    // Index of the row covering pixel offset y (rows are contiguous and sorted by top).
+    function findRowAt(rows, y) {
+        let lo = 0, hi = rows.length - 1;
+        while (lo < hi) {
+            const mid = (lo + hi + 1) >> 1;
+            if (rows[mid].top <= y) lo = mid; else hi = mid - 1;
+        }
+        return lo;
+    }
+
+    // Dropping a card makes the drop position exactly what the passes use (in the full, unfiltered
+    // order) while rewriting as few rules as it can, since every write bumps updatedAt and goes
+    // out through sync. Usually only the moved rule changes: it gets a priority between its new
+    // neighbours', and PRIORITY_STEP leaves gaps so there normally is one. When there isn't (two
+    // automatic rules side by side), whichever side of the drop holds fewer rules to change is
+    // renumbered past the other.
+    const PRIORITY_STEP = 10;
+    function priorityBetween(lo, hi) {
+        if (hi === Infinity) return Math.max(lo, 0) + PRIORITY_STEP;
+        if (lo === -Infinity) lo = hi > 1 ? 0 : hi - 2 * PRIORITY_STEP;
+        const mid = Math.floor((lo + hi) / 2);
+        if (mid > lo && mid !== 0) return mid; // 0 would mean "automatic"
+        if (mid === 0 && hi > 1) return 1;
+        if (mid === 0 && lo < -1) return -1;
+        return null;
+    }
+    function moveRulePriority(movedId, targetId, after) {
+        const current = localRules.slice().sort(compareRulePriority);
+        const order = current.slice();
+        const moved = order.find(r => r.id === movedId);
+        if (!moved) return;
+        order.splice(order.indexOf(moved), 1);
+        const targetIdx = order.findIndex(r => r.id === targetId);
+        if (targetIdx === -1) return;
+        const k = targetIdx + (after ? 1 : 0);
+        order.splice(k, 0, moved);
+        if (order.every((r, i) => r === current[i])) return renderVirtualList();
+
+        const prio = r => Number(r.priority) || 0;
+        const hi = k > 0 ? prio(order[k - 1]) : Infinity;
+        const lo = k < order.length - 1 ? prio(order[k + 1]) : -Infinity;
+        const p = priorityBetween(lo, hi);
+        let updates = new Map([[moved.id, p]]);
+        if (p === null) {
+            const above = new Map(), below = new Map();
+            const floor = Math.max(lo, 0), ceiling = Math.min(hi, 0);
+            order.forEach((r, i) => {
+                if (i <= k) above.set(r.id, floor + PRIORITY_STEP * (k + 1 - i));
+                if (i >= k) below.set(r.id, ceiling - PRIORITY_STEP * (i - k + 1));
+            });
+            const changes = m => order.filter(r => m.has(r.id) && m.get(r.id) !== prio(r)).length;
+            updates = changes(below) < changes(above) ? below : above;
+        }
+        savePriorities(updates).catch(e => error('Failed to save the new priority order', e));
+    }
+    // updates maps rule id -> new priority; null clears every explicit priority.
+    async function savePriorities(updates) {
+        const t = now();
+        for (const r of localRules) {
+            const next = updates ? updates.get(r.id) : 0;
+            if (next === undefined || (Number(r.priority) || 0) === next) continue;
+            r.priority = next;
+            r.updatedAt = t;
+            await dbPut(r);
+        }
+        localRules = await getActiveRules();
+        scheduleWriteMasterMirror();
+        // A new order can change which of two overlapping terms wins anywhere on the page.
+        revertAllReplacements();
+        await runDetectionAndApplyInternal();
+        updateGuiIfNeeded();
+    }
+
     function buildFullGUI() {
         try {
             searchQuery = '';
+            libraryFilter = 'all';
+            libraryView = 'list';
             mainPage.innerHTML = `
-                <div class="mui-header"><h2>Library</h2><button class="mui-icon-btn" id="tr-settings-btn">⚙️</button></div>
+                <div class="mui-header"><h2>Library</h2><div style="display:flex; gap:4px;"><button class="mui-icon-btn" id="tr-priority-btn" title="Priority order">⇅</button><button class="mui-icon-btn" id="tr-settings-btn">⚙️</button></div></div>
+                <div class="mui-priority-bar mui-hidden" id="tr-priority-bar">
+                    <span>Top wins on overlaps. Drag to reorder.</span>
+                    <button class="mui-button mui-pill-secondary" id="tr-priority-reset">Reset to automatic</button>
+                </div>
                 <div class="mui-search-bar">
                     <span style="opacity:0.6; margin-right:8px;">🔍</span>
                     <input type="text" id="tr-search-input" placeholder="Search terms...">
+                    <select id="tr-filter-select" class="mui-filter-select" title="Show all, enabled or disabled terms">
+                        <option value="all">All</option>
+                        <option value="enabled">Enabled</option>
+                        <option value="disabled">Disabled</option>
+                    </select>
                 </div>
                 <div class="mui-list-container" id="tr-list-container">
                     <div id="tr-virtual-scroller" style="position: relative; width: 100%;"></div>
@@ -1164,6 +3031,51 @@
                 listContainer.scrollTop = 0;
                 renderVirtualList();
             });
+            mainPage.querySelector('#tr-filter-select').addEventListener('change', (e) => {
+                libraryFilter = e.target.value;
+                listContainer.scrollTop = 0;
+                renderVirtualList();
+            });
+            mainPage.querySelector('#tr-priority-btn').onclick = (e) => {
+                libraryView = libraryView === 'priority' ? 'list' : 'priority';
+                e.currentTarget.classList.toggle('mui-tonal', libraryView === 'priority');
+                mainPage.querySelector('#tr-priority-bar').classList.toggle('mui-hidden', libraryView !== 'priority');
+                listContainer.scrollTop = 0;
+                renderVirtualList();
+            };
+            mainPage.querySelector('#tr-priority-reset').onclick = () => {
+                if (confirm('Clear every explicit priority and go back to the automatic order?')) savePriorities(null).catch(e => error('Failed to reset priorities', e));
+            };
+            virtualScroller.addEventListener('dragstart', (e) => {
+                const card = e.target.closest && e.target.closest('.mui-card');
+                if (!card) return;
+                dragRuleId = card.dataset.id;
+                e.dataTransfer.effectAllowed = 'move';
+                try { e.dataTransfer.setData('text/plain', dragRuleId); } catch (err) {}
+            });
+            virtualScroller.addEventListener('dragover', (e) => {
+                if (!dragRuleId) return;
+                e.preventDefault();
+                virtualScroller.querySelectorAll('.drop-before, .drop-after').forEach(el => el.classList.remove('drop-before', 'drop-after'));
+                const card = e.target.closest('.mui-card');
+                if (card && card.dataset.id !== dragRuleId) {
+                    const box = card.getBoundingClientRect();
+                    card.classList.add(e.clientY < box.top + box.height / 2 ? 'drop-before' : 'drop-after');
+                }
+            });
+            virtualScroller.addEventListener('dragend', () => {
+                dragRuleId = null;
+                virtualScroller.querySelectorAll('.drop-before, .drop-after').forEach(el => el.classList.remove('drop-before', 'drop-after'));
+            });
+            virtualScroller.addEventListener('drop', (e) => {
+                if (!dragRuleId) return;
+                e.preventDefault();
+                const card = e.target.closest('.mui-card');
+                const movedId = dragRuleId;
+                dragRuleId = null;
+                if (!card || card.dataset.id === movedId) return renderVirtualList();
+                moveRulePriority(movedId, card.dataset.id, card.classList.contains('drop-after'));
+            });
             listContainer.addEventListener('scroll', () => {
                 if (!isRenderingScroll) {
                     isRenderingScroll = true;
@@ -1179,6 +3091,13 @@
                 if (editBtn) return editRuleInteractive(editBtn.closest('.mui-card').dataset.id);
                 const delBtn = e.target.closest('.del-btn');
                 if (delBtn) return deleteRuleInteractive(delBtn.closest('.mui-card').dataset.id);
+                const toggleBtn = e.target.closest('.toggle-btn');
+                if (toggleBtn) return toggleRuleEnabled(toggleBtn.closest('.mui-card').dataset.id);
+                const groupHeader = e.target.closest('.mui-group-header');
+                if (!groupHeader) return;
+                const group = groupHeader.dataset.group;
+                if (e.target.closest('.group-toggle-btn')) return setGroupEnabled(group, disabledGroups.includes(group)).catch(err => error('Failed to switch group', group, err));
+                if (e.target.closest('.group-export-btn')) return exportGroup(group);
             });
             const savedScroll = loadUIScrollForHost(HOST);
             if (typeof savedScroll === 'number') setTimeout(() => { if (listContainer) listContainer.scrollTop = savedScroll; }, 0);
@@ -1186,7 +3105,7 @@
                 if (!isNavigating) showPage('settings');
             };
             mainPage.querySelector('#tr-add-btn').onclick = () => addRuleInteractive();
-            mainPage.querySelector('#tr-backup-btn').onclick = backupAllData;
+            mainPage.querySelector('#tr-backup-btn').onclick = () => backupAllData();
             mainPage.querySelector('#tr-import-btn').onclick = () => { promptFileImport(); };
             renderVirtualList();
         } catch (e) { error('buildFullGUI failed', e); }
@@ -1200,13 +3119,31 @@
             timestamp: now(),
             rules: rules.map(r => ({ ...r })),
             blockedDomains: [...blockedDomains],
-            protectedSelectors: [...protectedSelectors]
+            allowedDomains: [...allowedDomains],
+            siteListMode,
+            protectedSelectors: [...protectedSelectors],
+            enableAttributeReplacement,
+            replaceAttributes: [...replaceAttributes],
+            enableTitleReplacement,
+            inflectionOverrides: [...inflectionOverrides],
+            disabledGroups: [...disabledGroups]
         };
-        const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' });
+        downloadJson(backup, `text-replacer-backup-${now()}.json`);
+    }
+
+    // Same shape as a full backup minus the settings, so the existing Import reads it as-is.
+    async function exportGroup(name) {
+        const rules = (await getActiveRules()).filter(r => (r.groups || []).includes(name));
+        const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'group';
+        downloadJson({ version: 2, timestamp: now(), group: name, rules: rules.map(r => ({ ...r })) }, `text-replacer-group-${slug}-${now()}.json`);
+    }
+
+    function downloadJson(data, filename) {
+        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
         a.href = url;
-        a.download = `text-replacer-backup-${now()}.json`;
+        a.download = filename;
         document.body.appendChild(a);
         a.click();
         a.remove();
@@ -1242,11 +3179,13 @@
         let importedRules = null;
         let importedBlocked = null;
         let importedProtected = null;
+        let importedAttributes = null;
 
         if (payload && typeof payload === 'object' && !Array.isArray(payload)) {
             if (Array.isArray(payload.rules)) importedRules = payload.rules;
             if (Array.isArray(payload.blockedDomains)) importedBlocked = payload.blockedDomains;
             if (Array.isArray(payload.protectedSelectors)) importedProtected = payload.protectedSelectors;
+            if (Array.isArray(payload.replaceAttributes)) importedAttributes = payload.replaceAttributes;
             if (!importedBlocked && Array.isArray(payload.domains)) importedBlocked = payload.domains;
         } else if (Array.isArray(payload)) {
             importedRules = payload;
@@ -1260,19 +3199,7 @@
             const bySig = new Map(current.map(r => [signatureOf(r), r]));
             for (const r of importedRules) {
                 if (!r || !r.oldText) continue;
-                const cand = {
-                    id: r.id || uuid(),
-                    oldText: r.oldText,
-                    newText: r.newText || '',
-                    caseSensitive: !!r.caseSensitive,
-                    forceGlobal: !!r.forceGlobal,
-                    smartPriority: !!r.smartPriority,
-                    enabled: r.enabled !== false,
-                    deleted: !!r.deleted,
-                    createdAt: r.createdAt || now(),
-                    updatedAt: r.updatedAt || now(),
-                    site: r.site || null
-                };
+                const cand = normalizeRuleRecord(r);
                 if (byId.has(cand.id)) {
                     const local = byId.get(cand.id);
                     if ((cand.updatedAt || 0) > (local.updatedAt || 0)) await dbPut({ ...local, ...cand, id: local.id });
@@ -1291,11 +3218,38 @@
             await saveBlocked();
         }
 
+        if (payload && Array.isArray(payload.allowedDomains)) {
+            allowedDomains = payload.allowedDomains;
+            if (payload.siteListMode === 'allow' || payload.siteListMode === 'block') siteListMode = payload.siteListMode;
+            await saveAllowed();
+        }
+
         if (importedProtected) {
             protectedSelectors = importedProtected;
             await saveProtectedSelectors();
         }
 
+        if (importedAttributes) {
+            replaceAttributes = sanitizeAttributeList(importedAttributes);
+            enableAttributeReplacement = payload.enableAttributeReplacement === true;
+            await saveAttributeSettings();
+        }
+
+        if (payload && Array.isArray(payload.inflectionOverrides)) {
+            inflectionOverrides = payload.inflectionOverrides.filter(line => parseInflectionOverride(line));
+            await saveInflectionOverrides();
+        }
+
+        if (payload && Array.isArray(payload.disabledGroups)) {
+            disabledGroups = sanitizeGroupList(payload.disabledGroups);
+            writeGM(GROUPS_KEY, disabledGroups);
+        }
+
+        if (payload && typeof payload.enableTitleReplacement === 'boolean') {
+            enableTitleReplacement = payload.enableTitleReplacement;
+            saveTitleSetting();
+        }
+
         localRules = await getActiveRules();
         scheduleWriteMasterMirror();
         revertAllReplacements();
@@ -1312,6 +3266,22 @@
         const isCase = ruleData.caseSensitive || false;
         const isGlobal = ruleData.forceGlobal || false;
         const isSmart = ruleData.smartPriority || false;
+        const isRegex = ruleData.isRegex || false;
+        const regexFlags = ruleData.regexFlags || '';
+        const isPreserveCase = ruleData.preserveCase || false;
+        const isIgnoreAccents = ruleData.ignoreAccents || false;
+        const isInflect = ruleData.inflect || false;
+        const isRichText = ruleData.richText || false;
+        const isChainable = ruleData.chainable || false;
+        const variantMode = VARIANT_MODES.includes(ruleData.variantMode) ? ruleData.variantMode : 'random';
+        const siteScope = formatSiteScope(ruleData);
+        const requireWords = (ruleData.requireWords || []).join(', ');
+        const forbidWords = (ruleData.forbidWords || []).join(', ');
+        const pathPatterns = (ruleData.pathPatterns || []).join(', ');
+        const requireSelector = ruleData.requireSelector || '';
+        const hasConditions = !!formatRuleConditions(ruleData);
+        const groups = (ruleData.groups || []).join(', ');
+        const priority = Number(ruleData.priority) || 0;
         let contentHtml = `
             <div class="mui-expressive-dialog mui-term-dialog">
                 <h3>${title}</h3>
@@ -1321,7 +3291,18 @@
                         <li><b>|</b> – Multi‑term: "word1 | word2"</li>
                         <li><b>---</b> – Gap: "first --- second" matches a gap of any words</li>
                         <li><b>#{word1,word2}#</b> – Filter: exclude words from the gap</li>
+                        <li><b>{a|b|c}</b> – Variants: the replacement "{stand-up|sync}" uses one of them per occurrence, at random, the same one per page, or in turn</li>
                         <li>Cross‑element matching is automatic (no special syntax)</li>
+                        <li><b>Sites</b> – "*.wikipedia.org" limits a rule to those sites; "!host/path/*" excludes; empty = everywhere</li>
+                        <li><b>Priority</b> – higher numbers win overlaps before the automatic longest-term-first order; ⇅ in the Library sets it by dragging</li>
+                        <li><b>Groups</b> – "style guide, spoilers" files a term under both; switching a group off in the Library disables its terms everywhere</li>
+                        <li><b>Page Conditions</b> – only replace when the page also mentions (or never mentions) certain words, sits under a path like "/wiki/*", or contains an element matching a CSS selector</li>
+                        <li><b>Preserve Case</b> – "cat → dog" also turns "Cat"/"CAT" into "Dog"/"DOG"</li>
+                        <li><b>Ignore Accents &amp; Width</b> – "resume" also matches "résumé", "ABC" matches "ＡＢＣ"</li>
+                        <li><b>Inflections (EN)</b> – "mouse → rat" also covers mice/mouse's/mousing → rats/rat's/ratting</li>
+                        <li><b>Rich Replacement</b> – the replacement may use &lt;b&gt;, &lt;i&gt;, &lt;em&gt;, &lt;strong&gt;, &lt;mark&gt; and &lt;a href="https://…"&gt;; anything else shows as plain text</li>
+                        <li><b>Chainable</b> – the replacement is passed on to your other terms ("colour → color" then "color → hue"), a few passes deep; loops are stopped and flagged ⚠️</li>
+                        <li><b>Regex Mode</b> – Original is a JavaScript regex; use <b>$1</b>, <b>$&lt;name&gt;</b>, <b>$&amp;</b> in the replacement (case follows the <b>i</b> flag)</li>
                     </ul>
                 </div>
                 <div class="mui-form-group">
@@ -1332,10 +3313,57 @@
                     <label for="mui-new-text">Replacement:</label>
                     <input type="text" id="mui-new-text" class="mui-pill-field" placeholder="New text..." value="${escapeHtml(newText)}">
                 </div>
+                <div class="mui-form-group ${hasVariants(newText) ? '' : 'mui-hidden'}" id="mui-variant-group">
+                    <label for="mui-variant-mode">Pick variants:</label>
+                    <select id="mui-variant-mode" class="mui-pill-field">
+                        ${VARIANT_MODES.map(m => `<option value="${m}" ${m === variantMode ? 'selected' : ''}>${VARIANT_MODE_LABELS[m]}</option>`).join('')}
+                    </select>
+                </div>
+                <div class="mui-form-group">
+                    <label for="mui-site-scope">Sites (optional):</label>
+                    <input type="text" id="mui-site-scope" class="mui-pill-field" placeholder="*.wikipedia.org, !news.example.com/comments/*" value="${escapeHtml(siteScope)}">
+                </div>
+                <div class="mui-form-group">
+                    <label for="mui-groups">Groups (optional):</label>
+                    <input type="text" id="mui-groups" class="mui-pill-field" placeholder="style guide, spoilers" value="${escapeHtml(groups)}">
+                </div>
+                <div class="mui-form-group">
+                    <label for="mui-priority">Priority (optional):</label>
+                    <input type="number" id="mui-priority" class="mui-pill-field" placeholder="0 = automatic" value="${priority || ''}">
+                </div>
+                <details class="mui-conditions" ${hasConditions ? 'open' : ''}>
+                    <summary>Page Conditions (optional)</summary>
+                    <div class="mui-form-group">
+                        <label for="mui-require-words">Page must mention:</label>
+                        <input type="text" id="mui-require-words" class="mui-pill-field" placeholder="Indonesia, island | archipelago" value="${escapeHtml(requireWords)}">
+                    </div>
+                    <div class="mui-form-group">
+                        <label for="mui-forbid-words">Page must not mention:</label>
+                        <input type="text" id="mui-forbid-words" class="mui-pill-field" placeholder="JVM, programming" value="${escapeHtml(forbidWords)}">
+                    </div>
+                    <div class="mui-form-group">
+                        <label for="mui-path-patterns">URL paths:</label>
+                        <input type="text" id="mui-path-patterns" class="mui-pill-field" placeholder="/wiki/*" value="${escapeHtml(pathPatterns)}">
+                    </div>
+                    <div class="mui-form-group">
+                        <label for="mui-require-selector">Page has element:</label>
+                        <input type="text" id="mui-require-selector" class="mui-pill-field" placeholder=".infobox, article#main" value="${escapeHtml(requireSelector)}">
+                    </div>
+                </details>
                 <div class="mui-expressive-checkboxes">
                     <label class="mui-check-group"><input type="checkbox" id="mui-case-check" ${isCase ? 'checked' : ''}><span>Case Sensitive</span></label>
                     <label class="mui-check-group"><input type="checkbox" id="mui-global-check" ${isGlobal ? 'checked' : ''}><span>Force Global</span></label>
                     <label class="mui-check-group"><input type="checkbox" id="mui-smart-check" ${isSmart ? 'checked' : ''}><span>Smart Priority</span></label>
+                    <label class="mui-check-group"><input type="checkbox" id="mui-regex-check" ${isRegex ? 'checked' : ''}><span>Regex Mode</span></label>
+                    <label class="mui-check-group"><input type="checkbox" id="mui-preserve-case-check" ${isPreserveCase ? 'checked' : ''}><span>Preserve Case</span></label>
+                    <label class="mui-check-group"><input type="checkbox" id="mui-accents-check" ${isIgnoreAccents ? 'checked' : ''}><span>Ignore Accents &amp; Width</span></label>
+                    <label class="mui-check-group"><input type="checkbox" id="mui-inflect-check" ${isInflect ? 'checked' : ''}><span>Inflections (EN)</span></label>
+                    <label class="mui-check-group"><input type="checkbox" id="mui-rich-check" ${isRichText ? 'checked' : ''}><span>Rich Replacement</span></label>
+                    <label class="mui-check-group"><input type="checkbox" id="mui-chain-check" ${isChainable ? 'checked' : ''}><span>Chainable</span></label>
+                </div>
+                <div class="mui-form-group ${isRegex ? '' : 'mui-hidden'}" id="mui-regex-flags-group">
+                    <label for="mui-regex-flags">Regex Flags:</label>
+                    <input type="text" id="mui-regex-flags" class="mui-pill-field" placeholder="e.g. i, m, s, u" value="${escapeHtml(regexFlags)}">
                 </div>
                 <div class="mui-dialog-actions mui-centered-pills">
                     <button class="mui-button mui-pill-secondary" id="mui-dialog-cancel">Cancel</button>
@@ -1346,19 +3374,65 @@
         showCustomDialog(contentHtml, () => {
             const saveBtn = dialogWrapper.querySelector('#mui-dialog-save');
             const cancelBtn = dialogWrapper.querySelector('#mui-dialog-cancel');
+            const regexCheck = dialogWrapper.querySelector('#mui-regex-check');
+            regexCheck.onchange = () => { dialogWrapper.querySelector('#mui-regex-flags-group').classList.toggle('mui-hidden', !regexCheck.checked); };
+            const newTextField = dialogWrapper.querySelector('#mui-new-text');
+            newTextField.oninput = () => { dialogWrapper.querySelector('#mui-variant-group').classList.toggle('mui-hidden', !hasVariants(newTextField.value)); };
             saveBtn.onclick = async () => {
                 const oldInput = dialogWrapper.querySelector('#mui-old-text').value.trim();
                 const newInput = dialogWrapper.querySelector('#mui-new-text').value.trim();
                 const isCaseInput = dialogWrapper.querySelector('#mui-case-check').checked;
                 const isGlobalInput = dialogWrapper.querySelector('#mui-global-check').checked;
                 const isSmartInput = dialogWrapper.querySelector('#mui-smart-check').checked;
+                const isRegexInput = regexCheck.checked;
+                const isPreserveCaseInput = dialogWrapper.querySelector('#mui-preserve-case-check').checked;
+                const isIgnoreAccentsInput = dialogWrapper.querySelector('#mui-accents-check').checked;
+                const isInflectInput = dialogWrapper.querySelector('#mui-inflect-check').checked;
+                const isRichTextInput = dialogWrapper.querySelector('#mui-rich-check').checked;
+                const isChainableInput = dialogWrapper.querySelector('#mui-chain-check').checked;
+                const variantModeInput = dialogWrapper.querySelector('#mui-variant-mode').value;
+                const siteScopeInput = parseSiteScope(dialogWrapper.querySelector('#mui-site-scope').value);
+                const groupsInput = sanitizeGroupList(dialogWrapper.querySelector('#mui-groups').value.split(','));
+                const priorityInput = Number(dialogWrapper.querySelector('#mui-priority').value) || 0;
+                const priorityChanged = (Number(ruleData.priority) || 0) !== priorityInput;
+                const matchingBefore = signatureOf({ ...ruleData, newText: '' });
+                let savedId = ruleData.id;
+                const regexFlagsInput = sanitizeRegexFlags(dialogWrapper.querySelector('#mui-regex-flags').value);
+                const conditionsInput = {
+                    requireWords: sanitizeConditionList(dialogWrapper.querySelector('#mui-require-words').value.split(',')),
+                    forbidWords: sanitizeConditionList(dialogWrapper.querySelector('#mui-forbid-words').value.split(',')),
+                    pathPatterns: sanitizeConditionList(dialogWrapper.querySelector('#mui-path-patterns').value.split(/[\s,]+/)),
+                    requireSelector: dialogWrapper.querySelector('#mui-require-selector').value.trim()
+                };
                 if (!oldInput || newInput === undefined) { alert('Original and replacement fields cannot be empty.'); return; }
+                if (conditionsInput.requireSelector) {
+                    try { document.querySelector(conditionsInput.requireSelector); } catch (err) { alert(`Invalid CSS selector: ${conditionsInput.requireSelector}`); return; }
+                }
+                if (isRegexInput) {
+                    let testRx;
+                    try { testRx = new RegExp(oldInput, regexFlagsInput); } catch (err) { alert(`Invalid regular expression: ${err.message}`); return; }
+                    // A pattern that can match nothing at all would "replace" every gap between characters.
+                    if (testRx.test('')) { alert('That regular expression matches empty text; make it require at least one character.'); return; }
+                }
                 if (isEdit) {
                     ruleData.oldText = oldInput;
                     ruleData.newText = newInput;
                     ruleData.caseSensitive = isCaseInput;
                     ruleData.forceGlobal = isGlobalInput;
                     ruleData.smartPriority = isSmartInput;
+                    ruleData.isRegex = isRegexInput;
+                    ruleData.regexFlags = regexFlagsInput;
+                    ruleData.preserveCase = isPreserveCaseInput;
+                    ruleData.ignoreAccents = isIgnoreAccentsInput;
+                    ruleData.inflect = isInflectInput;
+                    ruleData.richText = isRichTextInput;
+                    ruleData.chainable = isChainableInput;
+                    ruleData.variantMode = variantModeInput;
+                    ruleData.includeSites = siteScopeInput.includeSites;
+                    ruleData.excludeSites = siteScopeInput.excludeSites;
+                    ruleData.groups = groupsInput;
+                    ruleData.priority = priorityInput;
+                    Object.assign(ruleData, conditionsInput);
                     ruleData.updatedAt = now();
                     await dbPut(ruleData);
                 } else {
@@ -1370,19 +3444,39 @@
                         caseSensitive: isCaseInput,
                         forceGlobal: isGlobalInput,
                         smartPriority: isSmartInput,
+                        isRegex: isRegexInput,
+                        regexFlags: regexFlagsInput,
+                        preserveCase: isPreserveCaseInput,
+                        ignoreAccents: isIgnoreAccentsInput,
+                        inflect: isInflectInput,
+                        richText: isRichTextInput,
+                        chainable: isChainableInput,
+                        variantMode: variantModeInput,
+                        includeSites: siteScopeInput.includeSites,
+                        excludeSites: siteScopeInput.excludeSites,
+                        groups: groupsInput,
+                        priority: priorityInput,
+                        ...conditionsInput,
                         enabled: true,
                         createdAt: t,
                         updatedAt: t,
                         site: HOST
                     };
                     await dbPut(newRule);
+                    savedId = newRule.id;
                 }
                 closeCustomDialog();
                 localRules = await getActiveRules();
                 scheduleWriteMasterMirror();
-                revertAllReplacements();
+                // Anything but a change of replacement text can change who wins an overlap on the page.
+                const saved = localRules.find(r => r.id === savedId);
+                const matchingChanged = !saved || signatureOf({ ...saved, newText: '' }) !== matchingBefore;
+                revertForRuleChange([savedId], !isEdit || priorityChanged || matchingChanged);
                 await runDetectionAndApplyInternal();
                 updateGuiIfNeeded();
+                if (isChainableInput && getChainLoops().has(savedId)) {
+                    alert(`This term's output leads back to itself through chainable terms, so chaining stops after ${MAX_CHAIN_PASSES} passes. The terms involved are marked ⚠️ Loop in the Library.`);
+                }
             };
             cancelBtn.onclick = closeCustomDialog;
         });
@@ -1394,12 +3488,26 @@
         if (!r) return;
         showTermDialog(true, r);
     }
+    // Disabling is an ordinary edit (bumped updatedAt, same id, deleted untouched), so the master
+    // mirror carries it like any other change and the term keeps its stats and sync identity.
+    async function toggleRuleEnabled(id) {
+        const r = localRules.find(x => x.id === id);
+        if (!r) return;
+        r.enabled = r.enabled === false;
+        r.updatedAt = now();
+        await dbPut(r);
+        localRules = await getActiveRules();
+        scheduleWriteMasterMirror();
+        revertForRuleChange([id], r.enabled);
+        await runDetectionAndApplyInternal();
+        updateGuiIfNeeded();
+    }
     async function deleteRuleInteractive(id) {
         if (confirm('Delete this rule permanently?')) {
             await dbSoftDelete(id);
             localRules = await getActiveRules();
             scheduleWriteMasterMirror();
-            revertAllReplacements();
+            revertRuleReplacements([id]);
             await runDetectionAndApplyInternal();
             updateGuiIfNeeded();
         }
@@ -1474,6 +3582,26 @@
         return row;
     }
 
+    // Lets the user pick between this exact host and its whole registrable domain.
+    function chooseSitePattern(title, onPick) {
+        const domain = registrableDomainOf(HOST);
+        showCustomDialog(`
+            <div class="mui-expressive-dialog">
+                <h3>${escapeHtml(title)}</h3>
+                <div class="mui-dialog-actions mui-centered-pills" style="flex-direction:column;">
+                    <button class="mui-button mui-pill-primary" id="mui-site-host">Only ${escapeHtml(HOST)}</button>
+                    ${domain !== HOST ? `<button class="mui-button mui-pill-primary" id="mui-site-domain">All of ${escapeHtml(domain)} (*.${escapeHtml(domain)})</button>` : ''}
+                    <button class="mui-button mui-pill-secondary" id="mui-site-cancel">Cancel</button>
+                </div>
+            </div>
+        `, () => {
+            dialogWrapper.querySelector('#mui-site-host').onclick = () => { closeCustomDialog(); onPick(HOST); };
+            const domainBtn = dialogWrapper.querySelector('#mui-site-domain');
+            if (domainBtn) domainBtn.onclick = () => { closeCustomDialog(); onPick(`*.${domain}`); };
+            dialogWrapper.querySelector('#mui-site-cancel').onclick = closeCustomDialog;
+        });
+    }
+
     function showSettings() {
         if (!isGuiOpen) return;
         try {
@@ -1486,6 +3614,26 @@
             `;
             const cont = settingsPage.querySelector('#tr-set-cont');
 
+            // --- Pause ---
+            const pauseTitle = document.createElement('div'); pauseTitle.className = 'mui-settings-title'; pauseTitle.textContent = 'Pause'; cont.appendChild(pauseTitle);
+            const pauseStatus = describePause();
+            if (pauseStatus) { const pauseDesc = document.createElement('div'); pauseDesc.textContent = `⏸ ${pauseStatus}.`; pauseDesc.style.fontSize = '12px'; pauseDesc.style.marginBottom = '8px'; cont.appendChild(pauseDesc); }
+            const masterBtn = document.createElement('button'); masterBtn.textContent = pauseState.disabled ? '⏹️ Script: OFF Everywhere' : '▶️ Script: ON';
+            masterBtn.className = 'mui-button mui-pill-settings';
+            masterBtn.style.marginBottom = '8px';
+            masterBtn.onclick = () => { setScriptEnabled(!!pauseState.disabled); showSettings(); };
+            cont.appendChild(masterBtn);
+            const pauseRow = document.createElement('div'); pauseRow.style.display = 'flex'; pauseRow.style.gap = '8px'; pauseRow.style.marginBottom = '16px';
+            const pauseChoices = sitePausedUntil() || isPausedForTab()
+                ? [['▶️ Resume This Site', resumeSite]]
+                : [['⏸ 15 min', () => pauseSite(15 * 60 * 1000)], ['⏸ 1 h', () => pauseSite(60 * 60 * 1000)], ['⏸ This Tab', () => pauseSite('session')]];
+            pauseChoices.forEach(([label, action]) => {
+                const btn = document.createElement('button'); btn.textContent = label; btn.className = 'mui-button mui-pill-settings';
+                btn.onclick = () => { action(); showSettings(); };
+                pauseRow.appendChild(btn);
+            });
+            cont.appendChild(pauseRow);
+
             // --- Protected Areas ---
             const protTitle = document.createElement('div'); protTitle.className = 'mui-settings-title'; protTitle.textContent = 'Protected Areas (no replacement)'; cont.appendChild(protTitle);
             const protDesc = document.createElement('div'); protDesc.textContent = 'CSS selectors for elements where replacement should be blocked (e.g., text inputs, comment fields).'; protDesc.style.fontSize = '12px'; protDesc.style.marginBottom = '8px'; cont.appendChild(protDesc);
@@ -1525,36 +3673,61 @@
             addProtRow.appendChild(protInput); addProtRow.appendChild(addBtn);
             cont.appendChild(addProtRow);
 
-            // --- Blocklist ---
-            const blTitle = document.createElement('div'); blTitle.className = 'mui-settings-title'; blTitle.textContent = 'Blocklist (Global)'; cont.appendChild(blTitle);
+            // --- Blocklist / Allowlist ---
+            const blTitle = document.createElement('div'); blTitle.className = 'mui-settings-title'; blTitle.textContent = 'Sites (Global)'; cont.appendChild(blTitle);
+            const blDesc = document.createElement('div'); blDesc.textContent = '"example.com" is that host only, "*.example.com" the whole domain; * works anywhere. Allowlist mode runs only on allowlisted sites.'; blDesc.style.fontSize = '12px'; blDesc.style.marginBottom = '8px'; cont.appendChild(blDesc);
 
-            const blocklistContainer = document.createElement('div');
-            blocklistContainer.className = 'mui-scroll-list';
+            const modeBtn = document.createElement('button');
+            modeBtn.textContent = siteListMode === 'allow' ? '✅ Mode: Allowlist Only' : '🚫 Mode: Blocklist';
+            modeBtn.className = 'mui-button mui-pill-settings';
+            modeBtn.style.marginBottom = '12px';
+            modeBtn.onclick = async () => {
+                if (siteListMode === 'block' && !allowedDomains.length && !confirm('The allowlist is empty, so the script will stop running everywhere until you add a site. Continue?')) return;
+                siteListMode = siteListMode === 'allow' ? 'block' : 'allow';
+                await saveAllowed();
+                showSettings();
+            };
+            cont.appendChild(modeBtn);
 
-            (blockedDomains || []).forEach(d => {
-                const row = createEditableListRow(d, {
-                    onSave: (newVal) => {
-                        if (blockedDomains.includes(newVal)) { alert('That domain already exists.'); return; }
-                        blockedDomains = blockedDomains.map(x => x === d ? newVal : x);
-                        saveBlocked();
-                        showSettings();
-                    },
-                    onDelete: () => {
-                        blockedDomains = blockedDomains.filter(x => x !== d);
-                        saveBlocked();
-                        showSettings();
-                    }
+            const appendSiteList = (label, list, setList, save, addLabel) => {
+                const subTitle = document.createElement('div'); subTitle.textContent = label; subTitle.style.fontSize = '13px'; subTitle.style.fontWeight = '500'; subTitle.style.margin = '4px 0 8px'; cont.appendChild(subTitle);
+                const listContainer = document.createElement('div');
+                listContainer.className = 'mui-scroll-list';
+                list.forEach(d => {
+                    const row = createEditableListRow(d, {
+                        onSave: (newVal) => {
+                            if (list.includes(newVal.toLowerCase())) { alert('That pattern already exists.'); return; }
+                            setList(list.map(x => x === d ? newVal.toLowerCase() : x));
+                            save();
+                            showSettings();
+                        },
+                        onDelete: () => {
+                            setList(list.filter(x => x !== d));
+                            save();
+                            showSettings();
+                        }
+                    });
+                    listContainer.appendChild(row);
                 });
-                blocklistContainer.appendChild(row);
-            });
-
-            const blockBtn = document.createElement('button'); blockBtn.textContent = '🚫 Block Current Site';
-            blockBtn.className = 'mui-button mui-pill-settings';
-            blockBtn.style.marginBottom = '12px';
-            blockBtn.onclick = () => { if (!blockedDomains.includes(HOST)) { blockedDomains.push(HOST); saveBlocked(); showSettings(); } };
-
-            cont.appendChild(blockBtn);
-            cont.appendChild(blocklistContainer);
+                const addSite = (pattern) => { if (pattern && !list.includes(pattern)) { setList([...list, pattern]); save(); } showSettings(); };
+                const currentBtn = document.createElement('button'); currentBtn.textContent = addLabel;
+                currentBtn.className = 'mui-button mui-pill-settings';
+                currentBtn.style.marginBottom = '12px';
+                currentBtn.onclick = () => chooseSitePattern(addLabel, addSite);
+                const addRow = document.createElement('div'); addRow.style.display = 'flex'; addRow.style.gap = '8px'; addRow.style.marginBottom = '16px';
+                const input = document.createElement('input'); input.type = 'text'; input.placeholder = 'e.g., *.example.com, news.*'; input.style.flex = '1'; input.style.padding = '8px'; input.style.borderRadius = '8px'; input.style.border = '1px solid #ccc';
+                const addBtn = document.createElement('button'); addBtn.textContent = 'Add'; addBtn.className = 'mui-button mui-pill-settings';
+                addBtn.onclick = () => addSite(input.value.trim().toLowerCase());
+                addRow.appendChild(input); addRow.appendChild(addBtn);
+                cont.appendChild(currentBtn);
+                cont.appendChild(listContainer);
+                cont.appendChild(addRow);
+            };
+            if (siteListMode === 'allow') {
+                appendSiteList('Allowlist', allowedDomains, v => { allowedDomains = v; }, saveAllowed, '✅ Allow Current Site');
+            } else {
+                appendSiteList('Blocklist', blockedDomains, v => { blockedDomains = v; }, saveBlocked, '🚫 Block Current Site');
+            }
 
             const note = document.createElement('div'); note.textContent = 'Use "Backup All" in the Library to export everything.'; note.style.fontSize = '12px'; note.style.marginBottom = '12px'; cont.appendChild(note);
 
@@ -1565,6 +3738,94 @@
             hlBtn.onclick = () => { enableHighlight = !enableHighlight; saveHighlightSetting(); revertAllReplacements(); runDetectionAndApplyInternal(); showSettings(); };
             cont.appendChild(hlBtn);
 
+            // --- Attribute replacement ---
+            const attrTitle = document.createElement('div'); attrTitle.className = 'mui-settings-title'; attrTitle.textContent = 'Attributes'; cont.appendChild(attrTitle);
+            const attrDesc = document.createElement('div'); attrDesc.textContent = 'Also replace terms inside these element attributes (tooltips, alt text, placeholders, ARIA labels read by screen readers).'; attrDesc.style.fontSize = '12px'; cont.appendChild(attrDesc);
+            const attrBtn = document.createElement('button'); attrBtn.textContent = enableAttributeReplacement ? '🏷️ Attribute Replacement: ON' : '🏷️ Attribute Replacement: OFF';
+            attrBtn.className = 'mui-button mui-pill-settings';
+            attrBtn.onclick = async () => { enableAttributeReplacement = !enableAttributeReplacement; await saveAttributeSettings(); revertAllReplacements(); runDetectionAndApplyInternal(); showSettings(); };
+            cont.appendChild(attrBtn);
+
+            const attrListContainer = document.createElement('div');
+            attrListContainer.className = 'mui-scroll-list';
+            replaceAttributes.forEach(attr => {
+                const row = createEditableListRow(attr, {
+                    onSave: async (newVal) => {
+                        newVal = newVal.toLowerCase();
+                        if (!ATTRIBUTE_NAME_RX.test(newVal)) { alert('That is not a valid attribute name.'); return; }
+                        if (replaceAttributes.includes(newVal)) { alert('That attribute already exists.'); return; }
+                        replaceAttributes = replaceAttributes.map(a => a === attr ? newVal : a);
+                        await saveAttributeSettings();
+                        showSettings();
+                    },
+                    onDelete: async () => {
+                        replaceAttributes = replaceAttributes.filter(a => a !== attr);
+                        await saveAttributeSettings();
+                        showSettings();
+                    }
+                });
+                attrListContainer.appendChild(row);
+            });
+            cont.appendChild(attrListContainer);
+
+            const addAttrRow = document.createElement('div'); addAttrRow.style.display = 'flex'; addAttrRow.style.gap = '8px'; addAttrRow.style.marginBottom = '16px';
+            const attrInput = document.createElement('input'); attrInput.type = 'text'; attrInput.placeholder = 'e.g., aria-description, data-tooltip'; attrInput.style.flex = '1'; attrInput.style.padding = '8px'; attrInput.style.borderRadius = '8px'; attrInput.style.border = '1px solid #ccc';
+            const addAttrBtn = document.createElement('button'); addAttrBtn.textContent = 'Add'; addAttrBtn.className = 'mui-button mui-pill-settings';
+            addAttrBtn.onclick = async () => {
+                const val = attrInput.value.trim().toLowerCase();
+                if (!ATTRIBUTE_NAME_RX.test(val)) { alert('That is not a valid attribute name.'); return; }
+                if (!replaceAttributes.includes(val)) {
+                    replaceAttributes.push(val);
+                    await saveAttributeSettings();
+                    showSettings();
+                }
+            };
+            addAttrRow.appendChild(attrInput); addAttrRow.appendChild(addAttrBtn);
+            cont.appendChild(addAttrRow);
+
+            // --- Tab title ---
+            const titleBtn = document.createElement('button'); titleBtn.textContent = enableTitleReplacement ? '📑 Tab Title Replacement: ON' : '📑 Tab Title Replacement: OFF';
+            titleBtn.className = 'mui-button mui-pill-settings';
+            titleBtn.style.marginBottom = '12px';
+            titleBtn.onclick = () => { enableTitleReplacement = !enableTitleReplacement; saveTitleSetting(); revertAllReplacements(); runDetectionAndApplyInternal(); showSettings(); };
+            cont.appendChild(titleBtn);
+
+            // --- Inflection overrides ---
+            const infTitle = document.createElement('div'); infTitle.className = 'mui-settings-title'; infTitle.textContent = 'Inflection Overrides'; cont.appendChild(infTitle);
+            const infDesc = document.createElement('div'); infDesc.textContent = 'Custom English forms for rules with Inflections on: "word: plural=..., s=..., ed=..., ing=...".'; infDesc.style.fontSize = '12px'; infDesc.style.marginBottom = '8px'; cont.appendChild(infDesc);
+            const infListContainer = document.createElement('div');
+            infListContainer.className = 'mui-scroll-list';
+            const applyInflectionChange = async () => { await saveInflectionOverrides(); revertAllReplacements(); runDetectionAndApplyInternal(); showSettings(); };
+            inflectionOverrides.forEach(line => {
+                const row = createEditableListRow(line, {
+                    onSave: (newVal) => {
+                        if (!parseInflectionOverride(newVal)) { alert('Use the form "word: plural=..., ed=..." (keys: plural, s, ed, ing).'); return; }
+                        inflectionOverrides = inflectionOverrides.map(x => x === line ? newVal : x);
+                        applyInflectionChange();
+                    },
+                    onDelete: () => {
+                        inflectionOverrides = inflectionOverrides.filter(x => x !== line);
+                        applyInflectionChange();
+                    }
+                });
+                infListContainer.appendChild(row);
+            });
+            cont.appendChild(infListContainer);
+
+            const addInfRow = document.createElement('div'); addInfRow.style.display = 'flex'; addInfRow.style.gap = '8px'; addInfRow.style.marginBottom = '16px';
+            const infInput = document.createElement('input'); infInput.type = 'text'; infInput.placeholder = 'e.g., octopus: plural=octopodes'; infInput.style.flex = '1'; infInput.style.padding = '8px'; infInput.style.borderRadius = '8px'; infInput.style.border = '1px solid #ccc';
+            const addInfBtn = document.createElement('button'); addInfBtn.textContent = 'Add'; addInfBtn.className = 'mui-button mui-pill-settings';
+            addInfBtn.onclick = () => {
+                const val = infInput.value.trim();
+                if (!parseInflectionOverride(val)) { alert('Use the form "word: plural=..., ed=..." (keys: plural, s, ed, ing).'); return; }
+                if (!inflectionOverrides.includes(val)) {
+                    inflectionOverrides = [...inflectionOverrides, val];
+                    applyInflectionChange();
+                }
+            };
+            addInfRow.appendChild(infInput); addInfRow.appendChild(addInfBtn);
+            cont.appendChild(addInfRow);
+
             if (externalIhwAPI) {
                 const othersTitle = document.createElement('div'); othersTitle.className = 'mui-settings-title'; othersTitle.textContent = 'Other Userscripts'; cont.appendChild(othersTitle);
                 const ihwRow = document.createElement('div'); ihwRow.className = 'mui-settings-row';
@@ -1589,13 +3850,20 @@
     function createQuickEditGUI() {
         if (document.getElementById('tr-quick-edit')) return;
         quickEditBox = document.createElement('div'); quickEditBox.id = 'tr-quick-edit'; quickEditBox.className = 'mui-hidden';
-        quickEditBox.innerHTML = `<div><label>Original:</label> <span class="qe-orig-text" id="qe-from"></span></div><div style="margin-top: 4px;"><button class="mui-icon-btn mui-tonal" id="qe-edit-btn">✏️</button></div>`;
+        quickEditBox.innerHTML = `<div><label>Original:</label> <span class="qe-orig-text" id="qe-from"></span></div><div id="qe-variant-row" class="mui-hidden"><label>Variant:</label> <span class="qe-orig-text" id="qe-variant"></span></div><div style="margin-top: 4px;"><button class="mui-icon-btn mui-tonal" id="qe-edit-btn">✏️</button></div>`;
         document.body.appendChild(quickEditBox);
         document.getElementById('qe-edit-btn').onclick = () => { if (quickEditActiveId) { editRuleInteractive(quickEditActiveId); hideQuickEdit(); } };
-        document.addEventListener('click', (e) => {
-            if (e.target.classList.contains('tr-replaced')) showQuickEdit(e.target);
-            else if (quickEditBox && !quickEditBox.contains(e.target) && !e.target.classList.contains('tr-replaced')) hideQuickEdit();
-        });
+        document.addEventListener('click', handleReplacementClick);
+    }
+
+    // Also registered on every same-origin frame document we drive (see refreshFrameDocuments).
+    function handleReplacementClick(e) {
+        // Clicks inside a shadow root are retargeted to its host; composedPath() still has the span.
+        const target = (e.composedPath ? e.composedPath()[0] : e.target) || e.target;
+        // Rich replacements put <b>/<a>… inside the span, so the click may land on a child of it.
+        const span = target.closest ? target.closest('.tr-replaced') : null;
+        if (span) showQuickEdit(span);
+        else if (quickEditBox && !quickEditBox.contains(target)) hideQuickEdit();
     }
 
     function showQuickEdit(targetElement) {
@@ -1603,8 +3871,10 @@
         const data = repDataMap.get(targetElement.dataset.trId);
         if (!data) return;
         document.getElementById('qe-from').textContent = data.orig;
+        document.getElementById('qe-variant').textContent = data.variant || '';
+        document.getElementById('qe-variant-row').classList.toggle('mui-hidden', !data.variant);
         quickEditActiveId = data.ruleId;
-        const rect = targetElement.getBoundingClientRect();
+        const rect = getTopLevelRect(targetElement);
         quickEditBox.style.top = `${rect.bottom + window.pageYOffset + 8}px`;
         quickEditBox.style.left = `${rect.left + window.pageXOffset}px`;
         quickEditBox.classList.remove('mui-hidden');
@@ -1638,20 +3908,33 @@
             .mui-header h2 { margin:0; font-size:22px; font-weight:500; text-align: center; flex: 1; }
             .mui-search-bar { display:flex; align-items:center; background:#E6E0E9; border-radius: 28px; padding: 0 16px; margin-bottom: 12px; height: 50px; transition: background 0.2s; flex-shrink: 0; }
             .mui-search-bar:focus-within { background: #E8DEF8; }
+            .mui-filter-select { border:none; background:transparent; outline:none; font-size:14px; color:var(--md-sys-color-on-surface); font-family:inherit; cursor:pointer; }
             .mui-search-bar input { border:none; background:transparent; outline:none; font-size:16px; flex-grow:1; color:var(--md-sys-color-on-surface); font-family:inherit; }
             .mui-list-container { overflow-y:auto; flex-grow:1; position:relative; display:flex; flex-direction:column; gap:12px; }
             .mui-card { position:absolute; left:0; right:8px; height:76px; background:var(--md-sys-color-surface-container); border-radius:16px; padding:12px 16px; display:flex; justify-content:space-between; align-items:center; border-left:6px solid #CAC4D0; opacity:0.8; transition:transform 0.2s, box-shadow 0.2s; box-sizing:border-box;}
             .mui-card:hover { transform:translateY(-2px); box-shadow:0 4px 8px rgba(0,0,0,0.1); }
             .mui-card.active { border-left-color:#386A20; opacity:1; }
+            .mui-card.disabled { opacity:0.5; border-left-style:dashed; }
+            .mui-card[draggable="true"] { cursor:grab; }
+            .mui-card.drop-before { box-shadow:0 -3px 0 var(--md-sys-color-primary); }
+            .mui-card.drop-after { box-shadow:0 3px 0 var(--md-sys-color-primary); }
+            .mui-drag-handle { opacity:0.5; font-weight:400; }
+            .mui-priority-bar { display:flex; align-items:center; justify-content:space-between; gap:8px; font-size:12px; margin-bottom:12px; flex-shrink:0; }
+            .mui-priority-bar .mui-button { flex:none; width:auto; font-size:12px; padding:6px 12px; }
             .mui-rule-text { font-size:16px; font-weight:500; white-space:nowrap; overflow:hidden; text-overflow:ellipsis; }
-            .mui-rule-meta { font-size:12px; opacity:0.7; }
+            .mui-rule-meta { font-size:12px; opacity:0.7; white-space:nowrap; overflow:hidden; text-overflow:ellipsis; }
             .mui-card-actions { display:flex; gap:8px; }
+            .mui-group-header { position:absolute; left:0; right:8px; height:36px; padding:0 8px 0 12px; display:flex; justify-content:space-between; align-items:center; box-sizing:border-box; font-size:13px; font-weight:600; border-bottom:1px solid rgba(0,0,0,0.1);}
+            .mui-group-header.off .mui-group-name { opacity:0.5; text-decoration:line-through; }
+            .mui-group-count { font-weight:400; opacity:0.6; margin-left:4px; }
+            .mui-group-header .mui-group-btn { padding:4px 12px; font-size:12px; min-width:52px; flex:none; width:auto; }
+            .mui-group-header .mui-icon-btn { width:30px; height:30px; font-size:14px; }
             .mui-bottom-actions { margin-top:16px; display:flex; flex-direction:column; gap:12px; flex-shrink: 0; align-items: center;}
             .mui-toggle { position:fixed; top:15vh; left:0; width:48px; height:48px; background:var(--md-sys-color-primary); color:#fff; border-radius:0 16px 16px 0; text-align:center; line-height:48px; cursor:pointer; z-index:2147483647; font-size:22px; box-shadow:2px 2px 8px rgba(0,0,0,0.2); transition:transform 0.2s; }
             .mui-toggle:hover { transform:scale(1.05); }
+            .mui-toggle.paused { background:#79747E; }
             .mui-hidden { display:none!important; }
-            .tr-replaced { background:rgba(103,80,164,0.15) !important; border-bottom:2px solid var(--md-sys-color-primary) !important; border-radius:4px !important; padding:0 2px !important; color:inherit !important; cursor:pointer; }
-            .tr-replaced-hidden { display:inline; cursor:text; }
+            ${HIGHLIGHT_CSS}
             #tr-quick-edit { position:absolute; z-index:2147483647; background:#ECE6F0; color:#1D1B20; padding:12px 16px; border-radius:16px; box-shadow:0 4px 12px rgba(0,0,0,0.2); font-family:system-ui,sans-serif; font-size:14px; display:flex; flex-direction:column; gap:8px; min-width:150px; }
             #tr-quick-edit label { color:#49454F; font-size:12px; font-weight:500;} .qe-orig-text { font-weight:600; overflow-wrap:break-word; max-width:200px; }
             #tr-selection-fab { position:fixed; bottom:24px; left:24px; width:56px; height:56px; background:#E8DEF8; color:#1D192B; border-radius:16px; border:none; font-size:24px; z-index:2147483646; display:flex; align-items:center; justify-content:center; cursor:pointer; box-shadow:0 4px 12px rgba(0,0,0,0.2); }
@@ -1705,22 +3988,25 @@
             .mui-form-group label { font-size: 14px; font-weight: 500; opacity: 0.8;}
             .mui-pill-field { border: 1px solid rgba(0,0,0,0.1); border-radius: var(--md-pill-radius); padding: 12px 18px; font-size: 16px; outline: none; background: #fff; font-family: inherit;}
             .mui-expressive-checkboxes { display: grid; grid-template-columns: repeat(2, 1fr); gap: 10px;}
+            .mui-conditions summary { cursor: pointer; font-size: 14px; font-weight: 500; opacity: 0.8;}
+            .mui-conditions .mui-form-group { margin-top: 10px;}
             .mui-check-group { display: flex; align-items: center; gap: 8px; font-size: 14px;}
             .mui-dialog-actions.mui-centered-pills { display: flex; justify-content: center; gap: 12px; margin-top: 16px;}
 
             @media (prefers-color-scheme: dark) {
                 :root { --md-sys-color-surface: #1E1E1E; --md-sys-color-surface-container: #2C2C2C; --md-sys-color-on-surface: #E0E0E0; }
                 .mui-search-bar { background: #333; }
-                .mui-search-bar input { color: #ddd; }
+                .mui-search-bar input, .mui-filter-select { color: #ddd; }
                 .mui-card { background: #2C2C2C; border-left-color: #555; }
                 .mui-card.active { border-left-color:#81C784; }
+                .mui-group-header { color: #ddd; border-bottom-color: #444; }
                 .mui-pill-primary { background: #00C853; }
                 .mui-pill-secondary { background: #424242; }
                 .mui-back-pill, .mui-pill-settings { background: #3A3A3A; color: #ddd; }
                 .mui-pill-settings:hover { background: #4A4A4A; }
                 .mui-operator-info { background: #2C2C2C; color: #ccc; }
                 .mui-pill-field { background: #333; color: #eee; border-color: #555; }
-                .mui-form-group label { color: #ccc; }
+                .mui-form-group label, .mui-conditions summary { color: #ccc; }
                 .mui-settings-row { border-bottom-color: #444; }
                 .mui-scroll-list { scrollbar-color: #81C784 transparent; }
                 .mui-scroll-list::-webkit-scrollbar-thumb { background-color: rgba(129,199,132,0.4); }
@@ -1741,7 +4027,7 @@
         if (document.getElementById('text-replacer-gui')) return;
         try {
             guiBox = document.createElement('div'); guiBox.id = 'text-replacer-gui'; guiBox.className = 'mui-box';
-            const toggle = document.createElement('div'); toggle.className = 'mui-toggle'; toggle.textContent = '☰';
+            const toggle = guiToggle = document.createElement('div'); toggle.className = 'mui-toggle'; toggle.textContent = '☰';
             toggle.onclick = () => {
                 if (isNavigating) return;
                 isGuiOpen = !isGuiOpen;
@@ -1753,6 +4039,7 @@
                 }
             };
             document.documentElement.append(guiBox, toggle);
+            updatePauseIndicator();
 
             mainPage = document.createElement('div'); mainPage.id = 'tr-main-page'; mainPage.className = 'mui-page';
             settingsPage = document.createElement('div'); settingsPage.id = 'tr-settings-page'; settingsPage.className = 'mui-page';
@@ -1809,18 +4096,58 @@
     }
 
     mo = new MutationObserver((mutations) => {
-        let shouldRun = false;
+        const dirty = [];
         for (const m of mutations) {
+            // Our own setAttribute() calls come straight back here; they need no re-run.
+            if (m.type === 'attributes') {
+                const rec = (attrState.get(m.target) || {})[m.attributeName];
+                if (rec && rec.applied === m.target.getAttribute(m.attributeName)) continue;
+            }
             if (m.target.closest && m.target.closest('#text-replacer-gui, #tr-quick-edit, #tr-dialog-wrapper, .mui-fab, .mui-toggle, #tr-selection-fab, .tr-replaced, .tr-replaced-hidden')) continue;
-            shouldRun = true;
-            break;
-        }
-        if (shouldRun) {
-            clearTimeout(replaceTimer);
-            replaceTimer = setTimeout(runDetectionAndApplyInternal, 600);
+            // Only what was added or edited needs another look; pure removals can't create a match.
+            if (m.type === 'childList') {
+                m.addedNodes.forEach(n => {
+                    if (n.nodeType === Node.ELEMENT_NODE) { if (!n.classList.contains('tr-replaced') && !n.classList.contains('tr-replaced-hidden')) dirty.push(n); }
+                    else if (n.parentNode) dirty.push(n.parentNode);
+                });
+            } else if (m.type === 'characterData') {
+                if (m.target.parentNode) dirty.push(m.target.parentNode);
+            } else {
+                dirty.push(m.target);
+            }
         }
+        if (dirty.length) scheduleDetection(dirty);
     });
 
+    // <title> lives in <head>, outside everything mo watches. SPA routers rewrite it on every
+    // navigation (replacing its text node, or the whole element), so watch <head> for that.
+    const titleMo = new MutationObserver(() => {
+        if (!enableTitleReplacement || document.title === titleApplied) return;
+        scheduleDetection();
+    });
+
+    function observeRoot(target) {
+        const options = { childList: true, subtree: true, characterData: true };
+        if (enableAttributeReplacement && replaceAttributes.length) {
+            options.attributes = true;
+            options.attributeFilter = replaceAttributes.slice();
+        }
+        mo.observe(target, options);
+    }
+
+    // Called with no argument for a whole-page pass; the observer passes the subtrees it saw change.
+    function scheduleDetection(nodes) {
+        clearTimeout(detectTimer);
+        // A replace still waiting on its debounce is folded back in, so its roots aren't lost.
+        if (replaceTimer) {
+            clearTimeout(replaceTimer); replaceTimer = null;
+            queueDirty(pendingReplaceScope === undefined ? null : pendingReplaceScope);
+            pendingReplaceScope = undefined;
+        }
+        queueDirty(nodes === undefined ? null : nodes);
+        detectTimer = setTimeout(() => { detectTimer = null; runDetectionAndApplyInternal(takeDirtyScope()); }, 600);
+    }
+
     // ---------- FALLBACK INIT ----------
     function attemptInit() {
         try {
@@ -1841,10 +4168,12 @@
         try {
             await loadSettings();
             applyStyles(); createGUI();
-            if (blockedDomains.includes(HOST)) return;
+            schedulePauseExpiry();
+            if (isSiteDisabled()) return;
             if (document.body) {
-                mo.observe(document.body, { childList: true, subtree: true, characterData: true });
+                observeRoot(document.body);
             }
+            if (document.head) titleMo.observe(document.head, { childList: true, subtree: true, characterData: true });
             localRules = await getActiveRules();
             const master = readGM(MASTER_KEY, null);
             if (master && Array.isArray(master.rules) && master.rules.length > 0) {
@@ -0,0 +1,180 @@
+// Pulls pure functions and constants out of the userscript for the tests. The script is a single
+// IIFE with no exports, so its top-level declarations are found with a small tokenizer (strings,
+// template literals, comments and regex literals are skipped, so braces inside them don't count)
+// rather than by indentation or exact formatting, and the requested ones are run in a vm context.
+'use strict';
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const source = fs.readFileSync(path.join(__dirname, '..', '..', 'TextReplacer1933.user.js'), 'utf8');
+
+const REGEX_AFTER_WORD = new Set(['return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void', 'throw', 'case', 'do', 'else', 'yield', 'await']);
+const OPENERS = '([{', CLOSERS = ')]}';
+
+// A "/" starts a regex literal unless it follows something a division could follow.
+function regexAllowed(prev) {
+    if (!prev) return true;
+    if (prev.type === 'punct') return prev.value !== ')' && prev.value !== ']';
+    if (prev.type === 'word') return REGEX_AFTER_WORD.has(prev.value);
+    return false;
+}
+
+// Tokens with their bracket depth. Template literals are split at ${ and } into 'template'
+// tokens, so the expressions inside them are tokenized (and balanced) like any other code.
+function tokenize(src) {
+    const tokens = [];
+    const templates = []; // brace depth at which each open ${ expression started
+    let depth = 0, prev = null, i = 0;
+    const push = (type, start, end) => {
+        prev = { type, value: src.slice(start, end), start, end, depth };
+        tokens.push(prev);
+    };
+    const templateChunk = j => {
+        for (; j < src.length; j++) {
+            if (src[j] === '\\') { j++; continue; }
+            if (src[j] === '`') return { end: j + 1, open: false };
+            if (src[j] === '$' && src[j + 1] === '{') return { end: j + 2, open: true };
+        }
+        throw new Error('unterminated template literal');
+    };
+    while (i < src.length) {
+        const c = src[i];
+        if (/\s/.test(c)) { i++; continue; }
+        if (c === '/' && src[i + 1] === '/') { const nl = src.indexOf('\n', i); i = nl === -1 ? src.length : nl; continue; }
+        if (c === '/' && src[i + 1] === '*') { i = src.indexOf('*/', i + 2) + 2; continue; }
+        if (c === '"' || c === "'") {
+            let j = i + 1;
+            while (src[j] !== c) j += src[j] === '\\' ? 2 : 1;
+            push('string', i, j + 1);
+            i = j + 1;
+            continue;
+        }
+        if (c === '`' || (c === '}' && templates.length && templates[templates.length - 1] === depth)) {
+            if (c === '}') templates.pop();
+            const chunk = templateChunk(i + 1);
+            push('template', i, chunk.end);
+            if (chunk.open) templates.push(depth);
+            i = chunk.end;
+            continue;
+        }
+        if (c === '/' && regexAllowed(prev)) {
+            let j = i + 1, inClass = false;
+            for (; src[j] !== '/' || inClass; j++) {
+                if (src[j] === '\\') j++;
+                else if (src[j] === '[') inClass = true;
+                else if (src[j] === ']') inClass = false;
+                else if (src[j] === '\n') throw new Error(`unterminated regex literal at ${i}`);
+            }
+            j++;
+            while (/[a-z]/i.test(src[j])) j++;
+            push('regex', i, j);
+            i = j;
+            continue;
+        }
+        if (/[\w$]/.test(c)) {
+            const number = /\d/.test(c);
+            let j = i + 1;
+            while (j < src.length && (number ? /[\w.]/ : /[\w$]/).test(src[j])) j++;
+            push(number ? 'number' : 'word', i, j);
+            i = j;
+            continue;
+        }
+        if (CLOSERS.includes(c)) depth--;
+        push('punct', i, i + 1);
+        if (OPENERS.includes(c)) depth++;
+        i++;
+    }
+    assert.strictEqual(depth, 0, 'unbalanced brackets: the tokenizer misread the script');
+    return tokens;
+}
+
+const tokens = tokenize(source);
+
+// Index of the token closing the bracket opened at tokens[open].
+function closingIndex(open) {
+    const { depth } = tokens[open];
+    for (let k = open + 1; k < tokens.length; k++) {
+        if (tokens[k].type === 'punct' && CLOSERS.includes(tokens[k].value) && tokens[k].depth === depth) return k;
+    }
+    throw new Error('no closing bracket');
+}
+
+// name -> source of the statement declaring it, for every function/const/let in the IIFE body.
+const declarations = (() => {
+    const body = tokens.findIndex((t, k) => t.value === '{' && tokens[k - 1].value === ')' && tokens[k - 3] && tokens[k - 3].value === 'function');
+    const top = tokens[body].depth + 1;
+    const found = new Map();
+    for (let k = body + 1; k < tokens.length; k++) {
+        const t = tokens[k];
+        if (t.depth !== top || t.type !== 'word') continue;
+        if (t.value === 'function' && tokens[k + 1].type === 'word') {
+            const start = tokens[k - 1].value === 'async' ? tokens[k - 1].start : t.start;
+            const params = k + 2;
+            const end = closingIndex(closingIndex(params) + 1);
+            found.set(tokens[k + 1].value, source.slice(start, tokens[end].end));
+            k = end;
+        } else if (t.value === 'const' || t.value === 'let') {
+            let end = k + 1;
+            while (!(tokens[end].value === ';' && tokens[end].depth === top)) end++;
+            const text = source.slice(t.start, tokens[end].end);
+            for (let n = k + 1; n < end; n++) {
+                const before = tokens[n - 1];
+                if (tokens[n].type === 'word' && tokens[n].depth === top && (n === k + 1 || (before.value === ',' && before.depth === top))) found.set(tokens[n].value, text);
+            }
+            k = end;
+        }
+    }
+    return found;
+})();
+
+function declarationOf(name) {
+    assert.ok(declarations.has(name), `no top-level declaration of ${name}`);
+    return declarations.get(name);
+}
+
+// Evaluates the named declarations (plus any extra setup code) with `globals` in scope and returns
+// an object exposing each of them; a statement declaring several names is only included once.
+function load(names, { globals = {}, setup = [] } = {}) {
+    const code = [...new Set(names.map(declarationOf))].concat(setup).join('\n')
+        + `\nthis.api = { ${names.join(', ')} };`;
+    const context = Object.assign({ console }, globals);
+    vm.runInNewContext(code, context);
+    return context.api;
+}
+
+// Names from buildMatchWorkerSource: its consts object, its fns list and the string-literal
+// prelude lines it ships ahead of them.
+function matchWorkerManifest() {
+    const builderStart = tokens.findIndex((t, k) => t.value === 'buildMatchWorkerSource' && tokens[k - 1].value === 'function');
+    const builderEnd = closingIndex(closingIndex(builderStart + 1) + 1);
+    const within = (from, to) => tokens.slice(from, to);
+    const listAfter = name => {
+        const at = tokens.findIndex((t, k) => k > builderStart && k < builderEnd && t.value === name && tokens[k + 1].value === '=');
+        const open = at + 2;
+        const close = closingIndex(open);
+        return within(open + 1, close).filter((t, k, list) => t.type === 'word' && t.depth === tokens[open].depth + 1 && (!list[k + 1] || ',}]'.includes(list[k + 1].value))).map(t => t.value);
+    };
+    const returnAt = tokens.findIndex((t, k) => k > builderStart && k < builderEnd && t.value === 'return' && tokens[k + 1].value === '[');
+    const prelude = within(returnAt + 2, closingIndex(returnAt + 1))
+        .filter(t => t.type === 'string' && t.depth === tokens[returnAt + 1].depth + 1)
+        .map(t => vm.runInNewContext(t.value))
+        .filter(line => /^(?:const|let) /.test(line));
+    return { consts: listAfter('consts'), fns: listAfter('fns'), prelude };
+}
+
+// The same pure functions and constants the match worker runs, read from the script.
+function loadMatchWorker(extraNames = []) {
+    const { consts, fns, prelude } = matchWorkerManifest();
+    return load([...consts, ...fns, ...extraNames], { setup: prelude });
+}
+
+// The text with each { start, end, rep } (in text order, as the passes return them) spliced in.
+function splice(text, found) {
+    let out = '', cursor = 0;
+    for (const f of found) { out += text.slice(cursor, f.start) + f.rep; cursor = f.end; }
+    return out + text.slice(cursor);
+}
+
+module.exports = { declarationOf, load, loadMatchWorker, matchWorkerManifest, splice };
@@ -0,0 +1,48 @@
+// What a rule matches in the text-node pass: regex rules, word boundaries outside ASCII,
+// accent-insensitive matching and the literal automaton. Run with: node --test test/*.test.js
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadMatchWorker, splice } = require('./helpers/userscript');
+
+const worker = loadMatchWorker();
+// Compiled patterns are cached by rule id, so every rule below has its own.
+const run = (rules, text) => splice(text, worker.runMatchJobSync('match', { rules, texts: [text] })[0]);
+
+test('regex rules expand numbered and named groups, $& and $$', () => {
+    const swap = { id: 'swap', oldText: '(\\w+), (\\w+)', newText: '$2 $1 [$&] $$', isRegex: true };
+    assert.strictEqual(run([swap], 'Doe, John'), 'John Doe [Doe, John] $');
+    const named = { id: 'named', oldText: '(?<first>\\w+) (?<last>\\w+)', newText: '$<last> $<first>', isRegex: true };
+    assert.strictEqual(run([named], 'John Doe'), 'Doe John');
+});
+
+test('regex lookarounds see the text around the match', () => {
+    const price = { id: 'price', oldText: '(?<=\\$)\\d+', newText: 'NUM', isRegex: true };
+    assert.strictEqual(run([price], 'cost $15 or 20'), 'cost $NUM or 20');
+});
+
+test('word boundaries hold for non-Latin words, and unspaced scripts match inside text', () => {
+    assert.strictEqual(run([{ id: 'cyrillic', oldText: 'кот', newText: 'пёс' }], 'кот котенок кот.'), 'пёс котенок пёс.');
+    assert.strictEqual(run([{ id: 'han', oldText: '猫', newText: '犬' }], '我的猫很可爱'), '我的犬很可爱');
+    assert.strictEqual(run([{ id: 'accented', oldText: 'café', newText: 'bar' }], 'café cafés'), 'bar cafés');
+});
+
+test('ignoreAccents matches accented and full-width spellings', () => {
+    const rule = { id: 'fold', oldText: 'cafe', newText: 'bar', ignoreAccents: true };
+    assert.strictEqual(run([rule], 'café ｃａｆｅ cafe cafés'), 'bar bar bar cafés');
+});
+
+test('a large literal library goes through the automaton and keeps case sensitivity per rule', () => {
+    const library = Array.from({ length: 300 }, (_, i) => ({ id: `term${i}`, oldText: `term${i}`, newText: `T${i}` }));
+    const exact = { id: 'exact', oldText: 'Term7', newText: 'CS', caseSensitive: true, priority: 1 };
+    assert.strictEqual(run([exact, ...library], 'term7 Term7 term299 term3000'), 'T7 CS T299 term3000');
+});
+
+test('detection reports which rules occur in the text', () => {
+    const rules = [
+        { id: 'hit', oldText: 'apple', newText: 'x' },
+        { id: 'miss', oldText: 'pear', newText: 'y' },
+        { id: 'gapHit', oldText: 'big --- dog', newText: 'z' }
+    ];
+    assert.strictEqual(worker.runMatchJobSync('detect', { rules, text: 'an apple and a big red dog' }).join(','), 'hit,gapHit');
+});
@@ -0,0 +1,69 @@
+// Overlap precedence in the string and text-node passes, and the priorities a drag writes.
+// Run with: node --test test/*.test.js
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert');
+const { load, loadMatchWorker, splice } = require('./helpers/userscript');
+
+const worker = loadMatchWorker();
+const theApple = { id: 'fruit', oldText: 'the apple', newText: 'THE-FRUIT' };
+const apple = { id: 'company', oldText: 'Apple', newText: 'APPLE-INC', priority: 5 };
+// compareRulePriority order: the explicit priority puts "Apple" first.
+const rulesList = [apple, theApple];
+const text = 'see the Apple store';
+
+const applied = found => splice(text, found);
+
+test('a higher-priority term beats an earlier-starting overlap in the text-node pass', () => {
+    const [found] = worker.runMatchJobSync('match', { rules: rulesList, texts: [text] });
+    assert.strictEqual(applied(found), 'see the APPLE-INC store');
+});
+
+test('the per-rule path (sets with a regex rule) resolves the overlap the same way', () => {
+    const withRegex = [...rulesList, { id: 'rx', oldText: 'z{3}', newText: 'Z', isRegex: true }];
+    const [found] = worker.runMatchJobSync('match', { rules: withRegex, texts: [text] });
+    assert.strictEqual(applied(found), 'see the APPLE-INC store');
+});
+
+test('attribute and title strings resolve the overlap the same way', () => {
+    assert.strictEqual(applied(worker.findStringReplacements(text, rulesList)), 'see the APPLE-INC store');
+});
+
+test('without an explicit priority the longer term still wins', () => {
+    const [found] = worker.runMatchJobSync('match', { rules: [theApple, { ...apple, priority: 0 }], texts: [text] });
+    assert.strictEqual(applied(found), 'see THE-FRUIT store');
+});
+
+test('claimByRank keeps lower-ranked matches that overlap nothing, in text order', () => {
+    const kept = worker.claimByRank([
+        { start: 4, end: 13, rank: 1 },
+        { start: 8, end: 13, rank: 0 },
+        { start: 0, end: 3, rank: 1 }
+    ]);
+    assert.strictEqual(kept.map(c => `${c.start}:${c.rank}`).join(' '), '0:1 8:0');
+});
+
+test('gap rules in the combined scan keep every start a lower-ranked rule matches at', () => {
+    const gapRules = [
+        { id: 'thing', oldText: 'thing', newText: 'THING', priority: 9 },
+        { id: 'bigThing', oldText: 'big --- thing', newText: 'huge --- item', priority: 5 },
+        { id: 'bigDog', oldText: 'big --- dog', newText: 'large --- hound', priority: 1 },
+        { id: 'caps', oldText: 'BIG --- dog', newText: 'CS --- X', caseSensitive: true }
+    ];
+    const gapText = 'big dog thing and BIG cat dog';
+    const [found] = worker.runMatchJobSync('match', { rules: gapRules, texts: [gapText] });
+    // "big dog thing and BIG cat dog" is bigDog's first match, and it loses to "thing"; the later
+    // one starting at "BIG" still goes to bigDog, which outranks the case-sensitive rule there.
+    assert.strictEqual(found.map(f => `${f.ruleId}:${f.rep}`).join(' | '), 'thing:THING | bigDog:large cat hound');
+});
+
+test('a dropped rule gets a priority strictly between its new neighbours', () => {
+    const { priorityBetween } = load(['PRIORITY_STEP', 'priorityBetween']);
+    assert.strictEqual(priorityBetween(0, Infinity), 10);
+    assert.strictEqual(priorityBetween(-Infinity, 0), -10);
+    assert.strictEqual(priorityBetween(-Infinity, 7), 3);
+    assert.strictEqual(priorityBetween(10, 20), 15);
+    assert.strictEqual(priorityBetween(-3, 3), 1); // never 0, which means "automatic"
+    assert.strictEqual(priorityBetween(0, 0), null);
+    assert.strictEqual(priorityBetween(-1, 1), null);
+});
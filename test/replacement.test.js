@@ -0,0 +1,52 @@
+// What a match is replaced with: preserved case, inflected forms, rich-text escaping, chaining and
+// variants. Run with: node --test test/*.test.js
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadMatchWorker, splice } = require('./helpers/userscript');
+
+const worker = loadMatchWorker();
+// Compiled patterns are cached by rule id, so every rule below has its own.
+const run = (rules, text) => splice(text, worker.runMatchJobSync('match', { rules, texts: [text] })[0]);
+const inString = (rules, text) => splice(text, worker.findStringReplacements(text, rules, rules));
+
+test('preserve case copies the match casing, word by word for multi-word matches', () => {
+    assert.strictEqual(run([{ id: 'cat', oldText: 'cat', newText: 'dog', preserveCase: true }], 'Cat CAT cat. cat'), 'Dog DOG dog. Dog');
+    const city = { id: 'city', oldText: 'new york', newText: 'los angeles', preserveCase: true };
+    assert.strictEqual(run([city], 'New York NEW YORK new york'), 'Los Angeles LOS ANGELES los angeles');
+});
+
+test('inflection carries the matched form over to the replacement', () => {
+    assert.strictEqual(run([{ id: 'mouse', oldText: 'mouse', newText: 'rat', inflect: true }], "mouse mice mouse's"), "rat rats rat's");
+    assert.strictEqual(run([{ id: 'go', oldText: 'go', newText: 'walk', inflect: true }], 'go went goes going'), 'walk walked walks walking');
+    assert.strictEqual(run([{ id: 'device', oldText: 'computer mouse', newText: 'laptop', inflect: true }], 'computer mice'), 'laptops');
+});
+
+test('page text captured into a rich template is escaped', () => {
+    const said = { id: 'said', oldText: '(\\S+) said', newText: '<b>$1</b> says', isRegex: true, richText: true };
+    assert.strictEqual(inString([said], '<i>x</i> said'), '<b>&lt;i&gt;x&lt;/i&gt;</b> says');
+    const gap = { id: 'gap', oldText: 'big --- thing', newText: '<i>huge</i> --- item', richText: true };
+    assert.strictEqual(inString([gap], 'big <u>y</u> thing'), '<i>huge</i> &lt;u&gt;y&lt;/u&gt; item');
+});
+
+test('preserve case on a rich template leaves tags and entities alone', () => {
+    const link = { id: 'link', oldText: 'link', newText: '<a href="https://Ex.com/P">site&amp;co</a>', richText: true, preserveCase: true };
+    assert.strictEqual(inString([link], 'LINK'), '<a href="https://Ex.com/P">SITE&amp;CO</a>');
+    const words = { id: 'words', oldText: 'bold word', newText: '<b>strong</b> <i>term</i>', richText: true, preserveCase: true };
+    assert.strictEqual(inString([words], 'Bold Word'), '<b>Strong</b> <i>Term</i>');
+});
+
+test('a chainable rule feeds its output to the other rules, and loops stop', () => {
+    const colour = { id: 'colour', oldText: 'colour', newText: 'color', chainable: true };
+    const color = { id: 'color', oldText: 'color', newText: 'hue' };
+    assert.strictEqual(inString([colour, color], 'colour'), 'hue');
+    const aToB = { id: 'aToB', oldText: 'a', newText: 'b', chainable: true };
+    const bToA = { id: 'bToA', oldText: 'b', newText: 'a', chainable: true };
+    assert.strictEqual(inString([aToB, bToA], 'a b'), 'a b');
+});
+
+test('variants rotate in turn, and the per-page mode keeps one pick', () => {
+    assert.strictEqual(inString([{ id: 'rotate', oldText: 'x', newText: '{p|q|r}', variantMode: 'rotate' }], 'x x x x'), 'p q r p');
+    const page = inString([{ id: 'page', oldText: 'y', newText: '{p|q|r}', variantMode: 'page' }], 'y y y').split(' ');
+    assert.ok(page.every(v => v === page[0]) && ['p', 'q', 'r'].includes(page[0]));
+});
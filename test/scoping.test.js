@@ -0,0 +1,49 @@
+// Where rules run: per-rule site and path scopes, page-content conditions and the site
+// blocklist/allowlist. Run with: node --test test/*.test.js
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert');
+const { load, matchWorkerManifest } = require('./helpers/userscript');
+
+const location = { hostname: 'news.example.co.uk', pathname: '/sport/live' };
+const site = load([
+    'escapeRegExp', 'sitePatternCache', 'sitePatternToRegex', 'sitePatternMatches', 'pathPatternToRegex', 'rulePathMatches',
+    'ruleAppliesToPage', 'parseSiteScope', 'isSiteDisabled', 'registrableDomainOf', 'MULTI_LABEL_SUFFIXES'
+], { globals: { window: { location } } });
+
+test('include and exclude patterns, with *. covering the bare domain and its subdomains', () => {
+    assert.strictEqual(site.ruleAppliesToPage({ includeSites: ['*.example.co.uk'] }), true);
+    assert.strictEqual(site.ruleAppliesToPage({ includeSites: ['example.co.uk'] }), false);
+    assert.strictEqual(site.ruleAppliesToPage({ excludeSites: ['news.example.co.uk/sport*'] }), false);
+    assert.strictEqual(site.ruleAppliesToPage({ pathPatterns: ['/sport/*'] }), true);
+    assert.strictEqual(site.ruleAppliesToPage({ pathPatterns: ['/news/*'] }), false);
+});
+
+test('a scope string splits into include and !exclude patterns', () => {
+    const scope = site.parseSiteScope('*.Example.com, !ads.example.com other.org');
+    assert.strictEqual(scope.includeSites.join(' '), '*.example.com other.org');
+    assert.strictEqual(scope.excludeSites.join(' '), 'ads.example.com');
+});
+
+test('the blocklist takes wildcards, and allowlist mode disables every other site', () => {
+    assert.strictEqual(site.isSiteDisabled(['*.example.co.uk'], [], 'block'), true);
+    assert.strictEqual(site.isSiteDisabled(['other.com'], [], 'block'), false);
+    assert.strictEqual(site.isSiteDisabled([], ['news.*'], 'allow'), false);
+    assert.strictEqual(site.isSiteDisabled([], ['other.com'], 'allow'), true);
+});
+
+test('the registrable domain keeps multi-label suffixes and leaves hosts without one alone', () => {
+    assert.strictEqual(site.registrableDomainOf('news.example.co.uk'), 'example.co.uk');
+    assert.strictEqual(site.registrableDomainOf('a.b.example.com'), 'example.com');
+    assert.strictEqual(site.registrableDomainOf('localhost'), 'localhost');
+    assert.strictEqual(site.registrableDomainOf('10.0.0.1'), '10.0.0.1');
+});
+
+test('content conditions need every required word and none of the forbidden ones', () => {
+    const { consts } = matchWorkerManifest();
+    const conditions = load([...consts, 'escapeRegExp', 'needsWordBoundary', 'wrapWithWordBoundaries', 'conditionWordCache', 'conditionWordRegex', 'ruleContentConditionsMet']);
+    const pageText = () => 'Match report: the striker scored twice';
+    assert.strictEqual(conditions.ruleContentConditionsMet({ requireWords: ['striker|goalkeeper'] }, pageText), true);
+    assert.strictEqual(conditions.ruleContentConditionsMet({ requireWords: ['strike'] }, pageText), false);
+    assert.strictEqual(conditions.ruleContentConditionsMet({ requireWords: ['match report'], forbidWords: ['twice'] }, pageText), false);
+});